@@ -0,0 +1,205 @@
+// Classification of AWS SDK errors, retries for the ECS API calls and terminal deployment errors
+const core = require('./logging');
+
+/**
+ * Retry behaviour for throttled and transient ECS API calls
+ */
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 20000;
+
+const THROTTLING_ERROR_NAMES = [
+  'ThrottlingException',
+  'Throttling',
+  'ThrottledException',
+  'TooManyRequestsException',
+  'RequestLimitExceeded'
+];
+const TRANSIENT_ERROR_NAMES = [
+  'ServerException',
+  'InternalFailure',
+  'InternalServerError',
+  'ServiceUnavailable',
+  'ServiceUnavailableException'
+];
+const CONFLICT_ERROR_NAMES = ['ConflictException', 'UpdateInProgressException', 'ResourceInUseException'];
+const LIMIT_ERROR_NAMES = ['LimitExceededException', 'ServiceQuotaExceededException'];
+
+/**
+ * Deployment statuses that end a deployment without it succeeding
+ * FAILED is kept for older API responses; current deployments end STOPPED or in a rollback status.
+ */
+const FAILED_DEPLOYMENT_STATUSES = ['FAILED', 'STOPPED', 'ROLLBACK_SUCCESSFUL', 'ROLLBACK_FAILED'];
+
+/**
+ * A terminal outcome of a deployment that waiting longer cannot change
+ */
+class TerminalDeploymentError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} details - arn of the deployment or service, its status and the reason reported by ECS
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = 'TerminalDeploymentError';
+    this.arn = details.arn;
+    this.status = details.status;
+    this.reason = details.reason;
+  }
+}
+
+/**
+ * A deployment that ended in one of FAILED_DEPLOYMENT_STATUSES
+ */
+class DeploymentFailedError extends TerminalDeploymentError {
+  /**
+   * @param {Object} details - arn of the deployment, its status and statusReason, and descriptions of the tasks
+   *   that stopped during the deployment
+   */
+  constructor(details) {
+    const stoppedTasks = details.stoppedTasks || [];
+    super(`Deployment ${details.arn} ${details.status}${stoppedTasks.length > 0 ? `: ${stoppedTasks.join('; ')}` : ''}`, details);
+    this.name = 'DeploymentFailedError';
+    this.stoppedTasks = stoppedTasks;
+  }
+}
+
+/**
+ * A service that became INACTIVE or DRAINING while a deployment was being waited for
+ */
+class ServiceStateError extends TerminalDeploymentError {
+  /**
+   * @param {Object} details - arn of the service and its status
+   */
+  constructor(details) {
+    super(`Service entered ${details.status} state`, details);
+    this.name = 'ServiceStateError';
+  }
+}
+
+/**
+ * Determine whether an AWS SDK error means the request was throttled
+ * @param {Error} error - Error thrown by an SDK client
+ * @returns {boolean} True if the request was throttled
+ */
+function isThrottlingError(error) {
+  return THROTTLING_ERROR_NAMES.includes(error.name) ||
+    !!error.$retryable?.throttling ||
+    error.$metadata?.httpStatusCode === 429;
+}
+
+/**
+ * Determine whether an AWS SDK error is a transient server-side failure
+ * @param {Error} error - Error thrown by an SDK client
+ * @returns {boolean} True if the request failed with a 5xx error
+ */
+function isTransientError(error) {
+  return TRANSIENT_ERROR_NAMES.includes(error.name) || error.$metadata?.httpStatusCode >= 500;
+}
+
+/**
+ * Determine whether an AWS SDK error means a role could not be passed to or assumed by ECS
+ * @param {Error} error - Error thrown by an SDK client
+ * @returns {boolean} True if the error is about iam:PassRole or a role trust policy
+ */
+function isRoleTrustError(error) {
+  return ['AccessDeniedException', 'InvalidParameterException', 'ClientException'].includes(error.name) &&
+    /iam:PassRole|unable to assume|trust (policy|relationship)/i.test(error.message || '');
+}
+
+/**
+ * Compute the delay before retrying a request, with exponential backoff and jitter
+ * Half of the backoff is fixed and half is random, so concurrent deployments spread their retries.
+ * @param {number} attempt - The attempt that failed, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempt) {
+  const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Send a command, retrying throttled and transient failures with jittered exponential backoff
+ * The clients are created with SDK retries disabled, so MAX_SEND_ATTEMPTS is the total number of requests.
+ * The number of attempts made is recorded on the error that is thrown.
+ * @param {Object} client - AWS SDK client
+ * @param {Object} command - The command to send
+ * @param {Object} options - retryTransient, false for commands that are not idempotent: a throttled request was
+ *   never executed and is retried, but a request that failed with a 5xx error may have been
+ * @returns {Object} The command response
+ */
+async function sendWithRetry(client, command, { retryTransient = true } = {}) {
+  let attempt = 1;
+
+  while (true) {
+    try {
+      return await client.send(command);
+    } catch (error) {
+      if (attempt >= MAX_SEND_ATTEMPTS || !(isThrottlingError(error) || (retryTransient && isTransientError(error)))) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = retryDelay(attempt);
+      const reason = isThrottlingError(error) ? 'was throttled' : `failed with ${error.name}`;
+      core.info(`${command.constructor.name} ${reason}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${MAX_SEND_ATTEMPTS})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      attempt++;
+    }
+  }
+}
+
+/**
+ * Describe how often a failed request was retried by sendWithRetry
+ * @param {Error} error - Error thrown by an SDK client
+ * @returns {string} Sentence stating the number of retries
+ */
+function describeRetries(error) {
+  const retries = (error.attempts || 1) - 1;
+  return retries > 0 ? `The request was retried ${retries} time(s).` : 'The request was not retried.';
+}
+
+/**
+ * Map an AWS SDK error to an error with a specific remediation message
+ * Errors that are not recognized, including errors raised by the action itself, are returned unchanged.
+ * @param {Error} error - Error thrown by an SDK client
+ * @param {Object} context - Context for the message: clusterName
+ * @returns {Error} Error with a remediation message, with the original error as its cause
+ */
+function mapAwsError(error, context = {}) {
+  let message = null;
+
+  if (isRoleTrustError(error)) {
+    message = `Role trust failure: ${error.message}. Please check that the GitHub Actions role is allowed iam:PassRole on the execution, task and infrastructure roles, and that their trust policies allow ecs-tasks.amazonaws.com (execution and task roles) and ecs.amazonaws.com (infrastructure role) to assume them.`;
+  } else if (error.name === 'AccessDeniedException') {
+    message = `Access denied: ${error.message}. Please check that the IAM roles have the necessary permissions for ECS Express Mode operations.`;
+  } else if (error.name === 'InvalidParameterException') {
+    message = `Invalid parameter: ${error.message}. Please check your input values.`;
+  } else if (error.name === 'ClusterNotFoundException') {
+    message = `Cluster not found: ${context.clusterName}. Please check the cluster name and region.`;
+  } else if (error.name === 'ServiceNotActiveException') {
+    message = `Service not active: ${error.message}. The service is being deleted or is INACTIVE. Wait until it is INACTIVE and deploy again to create it.`;
+  } else if (LIMIT_ERROR_NAMES.includes(error.name)) {
+    message = `Limit exceeded: ${error.message}. Request a quota increase in Service Quotas or delete services that are no longer needed.`;
+  } else if (CONFLICT_ERROR_NAMES.includes(error.name)) {
+    message = `Conflicting deployment: ${error.message}. Another deployment of the service is in progress. Wait for it to finish, or use a workflow concurrency group so deployments of the same service do not overlap.`;
+  } else if (isThrottlingError(error)) {
+    message = `Request throttled: ${error.message}. ${describeRetries(error)} Reduce max-parallel or increase poll-interval-seconds to make fewer ECS API calls, or retry later.`;
+  } else if (isTransientError(error)) {
+    message = `AWS service error: ${error.message}. ${describeRetries(error)} Retry the deployment later.`;
+  }
+
+  return message ? new Error(message, { cause: error }) : error;
+}
+
+module.exports = {
+  FAILED_DEPLOYMENT_STATUSES,
+  MAX_SEND_ATTEMPTS,
+  DeploymentFailedError,
+  ServiceStateError,
+  TerminalDeploymentError,
+  isThrottlingError,
+  isTransientError,
+  mapAwsError,
+  sendWithRetry
+};
@@ -0,0 +1,191 @@
+const core = require('@actions/core');
+const {
+  MAX_SEND_ATTEMPTS,
+  DeploymentFailedError,
+  ServiceStateError,
+  TerminalDeploymentError,
+  isThrottlingError,
+  isTransientError,
+  mapAwsError,
+  sendWithRetry
+} = require('./errors');
+
+jest.mock('@actions/core');
+
+describe('AWS error handling', () => {
+  const awsError = (name, message, metadata) => {
+    const error = new Error(message);
+    error.name = name;
+    if (metadata) {
+      error.$metadata = metadata;
+    }
+    return error;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Error classification', () => {
+    test('detects throttling by name, retryable flag and status code', () => {
+      expect(isThrottlingError(awsError('ThrottlingException', 'Rate exceeded'))).toBe(true);
+      expect(isThrottlingError(Object.assign(new Error('Slow down'), { $retryable: { throttling: true } }))).toBe(true);
+      expect(isThrottlingError(awsError('Unknown', 'Too many requests', { httpStatusCode: 429 }))).toBe(true);
+      expect(isThrottlingError(awsError('InvalidParameterException', 'Invalid cpu'))).toBe(false);
+    });
+
+    test('detects transient server errors by name and status code', () => {
+      expect(isTransientError(awsError('ServerException', 'Internal error'))).toBe(true);
+      expect(isTransientError(awsError('Unknown', 'Bad gateway', { httpStatusCode: 502 }))).toBe(true);
+      expect(isTransientError(awsError('ClientException', 'Bad request', { httpStatusCode: 400 }))).toBe(false);
+    });
+  });
+
+  describe('Error mapping', () => {
+    test.each([
+      ['ThrottlingException', 'Rate exceeded', 'Request throttled: Rate exceeded. The request was not retried.'],
+      ['ServiceNotActiveException', 'Service is not active', 'Service not active: Service is not active. The service is being deleted or is INACTIVE.'],
+      ['LimitExceededException', 'Too many services', 'Limit exceeded: Too many services. Request a quota increase in Service Quotas'],
+      ['ConflictException', 'A deployment is in progress', 'Conflicting deployment: A deployment is in progress. Another deployment of the service is in progress.'],
+      ['UpdateInProgressException', 'Update in progress', 'Conflicting deployment: Update in progress.'],
+      ['ServerException', 'Internal error', 'AWS service error: Internal error. The request was not retried.'],
+      ['AccessDeniedException', 'Not authorized to perform ecs:UpdateExpressGatewayService', 'Access denied: Not authorized to perform ecs:UpdateExpressGatewayService.'],
+      ['InvalidParameterException', 'Invalid cpu', 'Invalid parameter: Invalid cpu. Please check your input values.']
+    ])('maps %s to a remediation message', (name, message, expected) => {
+      const error = awsError(name, message);
+
+      const mapped = mapAwsError(error);
+
+      expect(mapped.message).toContain(expected);
+      expect(mapped.cause).toBe(error);
+    });
+
+    test('maps PassRole and trust failures to a role trust message', () => {
+      const passRole = awsError('AccessDeniedException', 'User is not authorized to perform: iam:PassRole on resource: ecsTaskExecutionRole');
+      const trust = awsError('InvalidParameterException', 'ECS was unable to assume the role arn:aws:iam::123456789012:role/ecsInfrastructureRole');
+
+      expect(mapAwsError(passRole).message).toMatch(/^Role trust failure: User is not authorized to perform: iam:PassRole/);
+      expect(mapAwsError(trust).message).toContain('ecs.amazonaws.com (infrastructure role) to assume them');
+    });
+
+    test('names the cluster when it does not exist', () => {
+      expect(mapAwsError(awsError('ClusterNotFoundException', 'Cluster not found'), { clusterName: 'production' }).message)
+        .toBe('Cluster not found: production. Please check the cluster name and region.');
+    });
+
+    test('returns unrecognized errors unchanged', () => {
+      const error = new Error('Deployment failed with status: ROLLBACK_SUCCESSFUL');
+
+      expect(mapAwsError(error)).toBe(error);
+    });
+  });
+
+  describe('Terminal deployment errors', () => {
+    test('carry the deployment ARN, status, reason and stopped tasks', () => {
+      const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/default/my-service/abc123';
+      const error = new DeploymentFailedError({
+        arn: deploymentArn,
+        status: 'STOPPED',
+        reason: 'Circuit breaker triggered',
+        stoppedTasks: ['Task 1a2b stopped: Essential container exited', 'Task 3c4d stopped: OutOfMemoryError']
+      });
+
+      expect(error).toBeInstanceOf(TerminalDeploymentError);
+      expect(error.name).toBe('DeploymentFailedError');
+      expect(error.message).toBe(`Deployment ${deploymentArn} STOPPED: Task 1a2b stopped: Essential container exited; Task 3c4d stopped: OutOfMemoryError`);
+      expect(error).toMatchObject({ arn: deploymentArn, status: 'STOPPED', reason: 'Circuit breaker triggered' });
+    });
+
+    test('describe a service that left the ACTIVE state', () => {
+      const error = new ServiceStateError({ arn: 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service', status: 'DRAINING' });
+
+      expect(error).toBeInstanceOf(TerminalDeploymentError);
+      expect(error.message).toBe('Service entered DRAINING state');
+      expect(error.status).toBe('DRAINING');
+    });
+  });
+
+  describe('Retries', () => {
+    const command = new (class DescribeServicesCommand {})();
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+    });
+
+    afterEach(() => {
+      Math.random.mockRestore();
+      jest.useRealTimers();
+    });
+
+    test('retries throttled requests with exponential backoff', async () => {
+      const client = {
+        send: jest.fn()
+          .mockRejectedValueOnce(awsError('ThrottlingException', 'Rate exceeded'))
+          .mockRejectedValueOnce(awsError('ThrottlingException', 'Rate exceeded'))
+          .mockResolvedValueOnce({ services: [] })
+      };
+
+      const sendPromise = sendWithRetry(client, command);
+      await jest.advanceTimersByTimeAsync(1500);
+
+      await expect(sendPromise).resolves.toEqual({ services: [] });
+      expect(client.send).toHaveBeenCalledTimes(3);
+      expect(core.info).toHaveBeenCalledWith('DescribeServicesCommand was throttled, retrying in 0.5s (attempt 2 of 5)');
+      expect(core.info).toHaveBeenCalledWith('DescribeServicesCommand was throttled, retrying in 1.0s (attempt 3 of 5)');
+    });
+
+    test('retries transient server errors', async () => {
+      const client = {
+        send: jest.fn()
+          .mockRejectedValueOnce(awsError('Unknown', 'Service unavailable', { httpStatusCode: 503 }))
+          .mockResolvedValueOnce({ services: [] })
+      };
+
+      const sendPromise = sendWithRetry(client, command);
+      await jest.advanceTimersByTimeAsync(500);
+
+      await expect(sendPromise).resolves.toEqual({ services: [] });
+      expect(core.info).toHaveBeenCalledWith('DescribeServicesCommand failed with Unknown, retrying in 0.5s (attempt 2 of 5)');
+    });
+
+    test('gives up after the maximum number of attempts', async () => {
+      const throttled = awsError('ThrottlingException', 'Rate exceeded');
+      const client = { send: jest.fn().mockRejectedValue(throttled) };
+
+      const sendPromise = sendWithRetry(client, command);
+      const assertion = expect(sendPromise).rejects.toBe(throttled);
+      await jest.advanceTimersByTimeAsync(60000);
+
+      await assertion;
+      expect(client.send).toHaveBeenCalledTimes(MAX_SEND_ATTEMPTS);
+      expect(mapAwsError(throttled).message).toContain(`The request was retried ${MAX_SEND_ATTEMPTS - 1} time(s).`);
+    });
+
+    test('retries only throttled requests when transient errors are not retried', async () => {
+      const serverError = awsError('ServerException', 'Internal error');
+      const client = {
+        send: jest.fn()
+          .mockRejectedValueOnce(awsError('ThrottlingException', 'Rate exceeded'))
+          .mockRejectedValueOnce(serverError)
+      };
+
+      const sendPromise = sendWithRetry(client, command, { retryTransient: false });
+      const assertion = expect(sendPromise).rejects.toBe(serverError);
+      await jest.advanceTimersByTimeAsync(500);
+
+      await assertion;
+      expect(client.send).toHaveBeenCalledTimes(2);
+      expect(serverError.attempts).toBe(2);
+    });
+
+    test('does not retry other errors', async () => {
+      const invalid = awsError('InvalidParameterException', 'Invalid cpu');
+      const client = { send: jest.fn().mockRejectedValue(invalid) };
+
+      await expect(sendWithRetry(client, command)).rejects.toBe(invalid);
+      expect(client.send).toHaveBeenCalledTimes(1);
+      expect(core.info).not.toHaveBeenCalled();
+    });
+  });
+});
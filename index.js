@@ -1,17 +1,49 @@
 // GitHub Action for deploying ECS Express services
 // Trigger deployment test
-const core = require('@actions/core');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+// @actions/core, with the log lines of deployments that run in parallel prefixed by service and region
+const core = require('./logging');
+const YAML = require('yaml');
+const {
+  CloudWatchLogsClient,
+  FilterLogEventsCommand
+} = require('@aws-sdk/client-cloudwatch-logs');
 const { 
   ECSClient, 
   DescribeServicesCommand,
+  ListServicesCommand,
   DescribeExpressGatewayServiceCommand,
   DescribeServiceDeploymentsCommand,
   ListServiceDeploymentsCommand,
+  ListTasksCommand,
+  DescribeTasksCommand,
   CreateExpressGatewayServiceCommand,
   UpdateExpressGatewayServiceCommand,
+  UpdateServiceCommand,
+  DeleteExpressGatewayServiceCommand,
   TagResourceCommand,
   UntagResourceCommand
 } = require('@aws-sdk/client-ecs');
+const {
+  ECRClient,
+  DescribeImagesCommand,
+  DescribeImageScanFindingsCommand
+} = require('@aws-sdk/client-ecr');
+const {
+  STSClient,
+  GetCallerIdentityCommand
+} = require('@aws-sdk/client-sts');
+const { fromTemporaryCredentials } = require('@aws-sdk/credential-providers');
+const {
+  FAILED_DEPLOYMENT_STATUSES,
+  DeploymentFailedError,
+  ServiceStateError,
+  TerminalDeploymentError,
+  mapAwsError,
+  sendWithRetry
+} = require('./errors');
 
 /**
  * Parse tags from JSON format input
@@ -73,6 +105,566 @@ function parseTagsFromMultiline(tagsInput) {
   return tags;
 }
 
+/**
+ * Parse KEY=VALUE lines in dotenv format
+ * Blank lines and lines starting with # are ignored, an optional "export " prefix is allowed
+ * and values may be wrapped in single or double quotes. All problems are reported together
+ * with their line numbers.
+ * @param {string} content - Multiline string with KEY=VALUE pairs
+ * @param {string} source - Input name or file path, used in error messages
+ * @param {string} valueProperty - Property to store the value in (value or valueFrom)
+ * @returns {Array} Array of {name, value} or {name, valueFrom} objects
+ */
+function parseKeyValueLines(content, source, valueProperty) {
+  const entries = [];
+  const errors = [];
+  const firstLineByName = new Map();
+  const lines = content.split(/\r?\n/);
+  
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const trimmedLine = line.trim();
+    if (trimmedLine === '' || trimmedLine.startsWith('#')) {
+      return;
+    }
+    
+    const assignment = trimmedLine.replace(/^export\s+/, '');
+    const equalIndex = assignment.indexOf('=');
+    if (equalIndex === -1) {
+      errors.push(`line ${lineNumber}: expected NAME=VALUE, got "${trimmedLine}"`);
+      return;
+    }
+    
+    const name = assignment.substring(0, equalIndex).trim();
+    let value = assignment.substring(equalIndex + 1).trim();
+    
+    if (name === '' || /\s/.test(name)) {
+      errors.push(`line ${lineNumber}: invalid name "${name}"`);
+      return;
+    }
+    
+    if (firstLineByName.has(name)) {
+      errors.push(`line ${lineNumber}: duplicate name "${name}" (first defined on line ${firstLineByName.get(name)})`);
+      return;
+    }
+    firstLineByName.set(name, lineNumber);
+    
+    const quote = value.charAt(0);
+    if (quote === '"' || quote === "'") {
+      if (value.length < 2 || value.charAt(value.length - 1) !== quote) {
+        errors.push(`line ${lineNumber}: unterminated quoted value for "${name}"`);
+        return;
+      }
+      value = value.substring(1, value.length - 1);
+      if (quote === '"') {
+        value = value.replace(/\\(["\\n])/g, (_, escaped) => (escaped === 'n' ? '\n' : escaped));
+      }
+    }
+    
+    entries.push({ name, [valueProperty]: value });
+  });
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  
+  return entries;
+}
+
+/**
+ * Parse environment-variables or secrets input in JSON or KEY=VALUE format
+ * Input starting with [ is parsed as a JSON array, anything else as KEY=VALUE lines.
+ * @param {string} input - The raw input value
+ * @param {string} inputName - The input name, used in error messages
+ * @param {string} valueProperty - Property to store line values in (value or valueFrom)
+ * @returns {Array} Array of entry objects
+ */
+function parseEntriesInput(input, inputName, valueProperty) {
+  if (input.trim().startsWith('[')) {
+    try {
+      return JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid ${inputName} JSON: ${error.message}`);
+    }
+  }
+  return parseKeyValueLines(input, inputName, valueProperty);
+}
+
+/**
+ * Resolve a path relative to the GitHub workspace
+ * @param {string} filePath - Absolute path, or path relative to GITHUB_WORKSPACE
+ * @returns {string} Absolute path
+ */
+function resolveWorkspacePath(filePath) {
+  const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+  return path.isAbsolute(filePath) ? filePath : path.join(workspace, filePath);
+}
+
+/**
+ * Allowed structure of a service spec file
+ * Leaf values name the expected type; nested objects describe nested sections.
+ */
+const SERVICE_SPEC_SCHEMA = {
+  serviceName: 'string',
+  cluster: 'string',
+  executionRoleArn: 'string',
+  infrastructureRoleArn: 'string',
+  taskRoleArn: 'string',
+  cpu: 'scalar',
+  memory: 'scalar',
+  healthCheckPath: 'string',
+  primaryContainer: {
+    image: 'string',
+    containerPort: 'integer',
+    environment: 'entries',
+    secrets: 'entries',
+    command: 'string[]',
+    awsLogsConfiguration: {
+      logGroup: 'string',
+      logStreamPrefix: 'string'
+    },
+    repositoryCredentials: {
+      credentialsParameter: 'string'
+    }
+  },
+  networkConfiguration: {
+    subnets: 'string[]',
+    securityGroups: 'string[]'
+  },
+  scalingTarget: {
+    minTaskCount: 'integer',
+    maxTaskCount: 'integer',
+    autoScalingMetric: 'string',
+    autoScalingTargetValue: 'number'
+  },
+  tags: 'entries'
+};
+
+/**
+ * Check a parsed service spec against SERVICE_SPEC_SCHEMA
+ * @param {Object} value - The (nested) spec object to validate
+ * @param {Object} schema - The (nested) schema to validate against
+ * @param {string} prefix - Dotted path of the object within the spec, used in error messages
+ * @returns {Array} Array of error messages, empty if the spec is valid
+ */
+function validateServiceSpec(value, schema, prefix = '') {
+  const errors = [];
+  
+  for (const [key, fieldValue] of Object.entries(value)) {
+    const fieldPath = `${prefix}${key}`;
+    const expected = schema[key];
+    
+    if (expected === undefined) {
+      errors.push(`${fieldPath}: unknown field`);
+      continue;
+    }
+    
+    if (fieldValue === null || fieldValue === undefined) {
+      continue;
+    }
+    
+    if (typeof expected === 'object') {
+      if (typeof fieldValue !== 'object' || Array.isArray(fieldValue)) {
+        errors.push(`${fieldPath}: expected an object`);
+      } else {
+        errors.push(...validateServiceSpec(fieldValue, expected, `${fieldPath}.`));
+      }
+      continue;
+    }
+    
+    const valid = {
+      'string': () => typeof fieldValue === 'string',
+      'scalar': () => typeof fieldValue === 'string' || typeof fieldValue === 'number',
+      'integer': () => Number.isInteger(fieldValue),
+      'number': () => typeof fieldValue === 'number',
+      'string[]': () => Array.isArray(fieldValue) && fieldValue.every(item => typeof item === 'string'),
+      'entries': () => typeof fieldValue === 'object'
+    }[expected]();
+    
+    if (!valid) {
+      const description = {
+        'scalar': 'a string or number',
+        'integer': 'an integer',
+        'string[]': 'a list of strings',
+        'entries': 'a list or a map'
+      }[expected] || `a ${expected}`;
+      errors.push(`${fieldPath}: expected ${description}`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Normalize keyed entries from a service spec into the array form used by the ECS API
+ * Accepts either an array of entry objects or a map of key to value.
+ * @param {Array|Object} entries - Entries as written in the spec
+ * @param {string} keyProperty - Property identifying an entry (name or key)
+ * @param {string} valueProperty - Property holding the entry value (value or valueFrom)
+ * @returns {Array} Array of entry objects
+ */
+function normalizeSpecEntries(entries, keyProperty, valueProperty) {
+  if (Array.isArray(entries)) {
+    return entries;
+  }
+  return Object.entries(entries).map(([key, value]) => ({
+    [keyProperty]: key,
+    [valueProperty]: String(value)
+  }));
+}
+
+/**
+ * Validate a parsed service spec and convert it to serviceConfig form
+ * environment, secrets and tags may be written as maps for readability.
+ * @param {*} spec - The parsed spec document
+ * @param {string} source - Description of where the spec came from, used in error messages
+ * @returns {Object} Service configuration in serviceConfig form
+ */
+function normalizeServiceSpec(spec, source) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`Invalid ${source}: expected an object at the top level`);
+  }
+  
+  const errors = validateServiceSpec(spec, SERVICE_SPEC_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  
+  const serviceConfig = { ...spec };
+  
+  if (serviceConfig.cpu !== undefined) {
+    serviceConfig.cpu = String(serviceConfig.cpu);
+  }
+  
+  if (serviceConfig.memory !== undefined) {
+    serviceConfig.memory = String(serviceConfig.memory);
+  }
+  
+  if (spec.primaryContainer) {
+    serviceConfig.primaryContainer = { ...spec.primaryContainer };
+    if (spec.primaryContainer.environment) {
+      serviceConfig.primaryContainer.environment = normalizeSpecEntries(spec.primaryContainer.environment, 'name', 'value');
+    }
+    if (spec.primaryContainer.secrets) {
+      serviceConfig.primaryContainer.secrets = normalizeSpecEntries(spec.primaryContainer.secrets, 'name', 'valueFrom');
+    }
+  }
+  
+  if (spec.tags) {
+    serviceConfig.tags = normalizeSpecEntries(spec.tags, 'key', 'value');
+  }
+  
+  return serviceConfig;
+}
+
+/**
+ * Load a declarative service spec file (YAML or JSON) from the workspace
+ * The spec uses the same field names as the CreateExpressGatewayService API, plus cluster.
+ * A YAML file with several documents, or a JSON file with a top-level array, defines one service per document.
+ * @param {string} specPath - Path to the spec file, relative to GITHUB_WORKSPACE
+ * @returns {Array} Service configurations in serviceConfig form, one per service
+ */
+function loadServiceSpecs(specPath) {
+  const resolvedPath = resolveWorkspacePath(specPath);
+  
+  let content;
+  try {
+    content = fs.readFileSync(resolvedPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Unable to read service-spec file ${specPath}: ${error.message}`);
+  }
+  
+  let specs;
+  try {
+    if (resolvedPath.endsWith('.json')) {
+      const parsed = JSON.parse(content);
+      specs = Array.isArray(parsed) ? parsed : [parsed];
+    } else {
+      const documents = YAML.parseAllDocuments(content);
+      for (const document of documents) {
+        if (document.errors.length > 0) {
+          throw document.errors[0];
+        }
+      }
+      // Empty documents, e.g. from a trailing "---", are ignored
+      specs = documents.map(document => document.toJS()).filter(spec => spec !== null && spec !== undefined);
+      if (specs.length === 0) {
+        specs = [null];
+      }
+    }
+  } catch (error) {
+    throw new Error(`Invalid service-spec file ${specPath}: ${error.message}`);
+  }
+  
+  const serviceConfigs = specs.map((spec, index) => normalizeServiceSpec(
+    spec,
+    specs.length > 1 ? `service-spec file ${specPath} (service ${index + 1})` : `service-spec file ${specPath}`
+  ));
+  
+  core.info(`Loaded ${serviceConfigs.length > 1 ? `${serviceConfigs.length} services` : 'service spec'} from ${specPath}`);
+  return serviceConfigs;
+}
+
+/**
+ * Parse the services input, an inline YAML or JSON list of service specs
+ * @param {string} servicesInput - The raw services input
+ * @returns {Array} Service configurations in serviceConfig form, one per service
+ */
+function parseServicesInput(servicesInput) {
+  let specs;
+  try {
+    specs = YAML.parse(servicesInput);
+  } catch (error) {
+    throw new Error(`Invalid services input: ${error.message}`);
+  }
+  
+  if (!Array.isArray(specs) || specs.length === 0) {
+    throw new Error('Invalid services input: expected a non-empty list of service specs');
+  }
+  
+  return specs.map((spec, index) => normalizeServiceSpec(spec, `services input (service ${index + 1})`));
+}
+
+/**
+ * Merge two arrays of keyed entries, with entries from overrideEntries replacing entries with the same key
+ * @param {Array} baseEntries - Entries from the service spec
+ * @param {Array} overrideEntries - Entries from the action inputs
+ * @param {string} keyProperty - Property identifying an entry (name or key)
+ * @returns {Array} Merged array of entry objects
+ */
+function mergeKeyedEntries(baseEntries, overrideEntries, keyProperty) {
+  const merged = new Map((baseEntries || []).map(entry => [entry[keyProperty], entry]));
+  for (const entry of overrideEntries || []) {
+    merged.set(entry[keyProperty], entry);
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Merge a service configuration built from action inputs over one loaded from a service spec
+ * Scalar fields from the inputs take precedence, nested objects are merged property by property
+ * and environment variables, secrets and tags are merged by name/key.
+ * @param {Object} baseConfig - Service configuration from the service spec
+ * @param {Object} overrideConfig - Service configuration from the action inputs
+ * @returns {Object} Merged service configuration
+ */
+function mergeServiceConfig(baseConfig, overrideConfig) {
+  const merged = { ...baseConfig, ...overrideConfig };
+  
+  for (const field of ['networkConfiguration', 'scalingTarget']) {
+    if (baseConfig[field] && overrideConfig[field]) {
+      merged[field] = { ...baseConfig[field], ...overrideConfig[field] };
+    }
+  }
+  
+  if (baseConfig.primaryContainer && overrideConfig.primaryContainer) {
+    const baseContainer = baseConfig.primaryContainer;
+    const overrideContainer = overrideConfig.primaryContainer;
+    merged.primaryContainer = { ...baseContainer, ...overrideContainer };
+    
+    if (baseContainer.awsLogsConfiguration && overrideContainer.awsLogsConfiguration) {
+      merged.primaryContainer.awsLogsConfiguration = {
+        ...baseContainer.awsLogsConfiguration,
+        ...overrideContainer.awsLogsConfiguration
+      };
+    }
+    
+    if (baseContainer.environment && overrideContainer.environment) {
+      merged.primaryContainer.environment = mergeKeyedEntries(baseContainer.environment, overrideContainer.environment, 'name');
+    }
+    
+    if (baseContainer.secrets && overrideContainer.secrets) {
+      merged.primaryContainer.secrets = mergeKeyedEntries(baseContainer.secrets, overrideContainer.secrets, 'name');
+    }
+  }
+  
+  if (baseConfig.tags && overrideConfig.tags) {
+    merged.tags = mergeKeyedEntries(baseConfig.tags, overrideConfig.tags, 'key');
+  }
+  
+  return merged;
+}
+
+/**
+ * Allowed Fargate memory values (MiB) for each CPU value (units)
+ */
+const FARGATE_MEMORY_BY_CPU = {
+  '256': [512, 1024, 2048],
+  '512': [1024, 2048, 3072, 4096],
+  '1024': Array.from({ length: 7 }, (_, i) => 2048 + i * 1024),
+  '2048': Array.from({ length: 13 }, (_, i) => 4096 + i * 1024),
+  '4096': Array.from({ length: 23 }, (_, i) => 8192 + i * 1024),
+  '8192': Array.from({ length: 12 }, (_, i) => 16384 + i * 4096),
+  '16384': Array.from({ length: 12 }, (_, i) => 32768 + i * 8192)
+};
+
+const AUTO_SCALING_METRICS = ['AVERAGE_CPU', 'AVERAGE_MEMORY', 'REQUEST_COUNT_PER_TARGET'];
+const UPDATE_STRATEGIES = ['replace', 'merge-with-existing'];
+
+const IAM_ROLE_ARN_PATTERN = /^arn:aws[a-z-]*:iam::\d{12}:role\/[\w+=,.@/-]+$/;
+const SERVICE_ARN_PATTERN = /^arn:(aws[a-z-]*):ecs:([a-z0-9-]+):(\d{12}):service\/([^/]+)\/([^/]+)$/;
+const SECRET_ARN_PATTERN = /^arn:aws[a-z-]*:(secretsmanager:[a-z0-9-]+:\d{12}:secret:.+|ssm:[a-z0-9-]+:\d{12}:parameter\/.+)$/;
+
+/**
+ * Convert a numeric input to a number
+ * Values that are not entirely numeric are returned unchanged so validation can report them.
+ * @param {string} value - The raw input value
+ * @returns {number|string} The parsed number, or the trimmed input if it is not a number
+ */
+function parseNumberInput(value) {
+  const trimmedValue = value.trim();
+  const number = Number(trimmedValue);
+  return trimmedValue !== '' && Number.isFinite(number) ? number : trimmedValue;
+}
+
+/**
+ * Split an ECS service ARN into its parts
+ * Only the long ARN format, which includes the cluster name, is supported.
+ * @param {string} arn - The service ARN (arn:PARTITION:ecs:REGION:ACCOUNT-ID:service/CLUSTER/NAME)
+ * @returns {Object|null} The partition, region, accountId, cluster and serviceName, or null if the value is not a service ARN
+ */
+function parseServiceArn(arn) {
+  const match = SERVICE_ARN_PATTERN.exec(arn);
+  if (!match) {
+    return null;
+  }
+  
+  return {
+    partition: match[1],
+    region: match[2],
+    accountId: match[3],
+    cluster: match[4],
+    serviceName: match[5]
+  };
+}
+
+/**
+ * Report names that appear more than once in a list of environment variables or secrets
+ * @param {Array} entries - Array of {name, ...} objects
+ * @param {string} inputName - The input name, used in error messages
+ * @returns {Array} Array of error messages
+ */
+function findDuplicateNames(entries, inputName) {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const entry of entries) {
+    if (entry && seen.has(entry.name)) {
+      duplicates.add(entry.name);
+    }
+    seen.add(entry?.name);
+  }
+  return [...duplicates].map(name => `${inputName} contains duplicate name "${name}"`);
+}
+
+/**
+ * Validate a complete serviceConfig before any AWS call is made
+ * Every problem is collected so they can be reported together.
+ * @param {Object} serviceConfig - The serviceConfig built from the action inputs and service spec
+ * @returns {Array} Array of error messages, empty if the configuration is valid
+ */
+function validateServiceConfig(serviceConfig) {
+  const errors = [];
+  const container = serviceConfig.primaryContainer || {};
+  const scaling = serviceConfig.scalingTarget || {};
+  
+  const roles = [
+    ['execution-role-arn', serviceConfig.executionRoleArn],
+    ['infrastructure-role-arn', serviceConfig.infrastructureRoleArn],
+    ['task-role-arn', serviceConfig.taskRoleArn]
+  ];
+  for (const [input, arn] of roles) {
+    if (arn !== undefined && !IAM_ROLE_ARN_PATTERN.test(arn)) {
+      errors.push(`${input} must be an IAM role ARN (arn:aws:iam::ACCOUNT-ID:role/name), got "${arn}"`);
+    }
+  }
+  
+  // CPU and memory must form a supported Fargate combination
+  const cpu = serviceConfig.cpu;
+  const memory = serviceConfig.memory;
+  if (cpu !== undefined && !FARGATE_MEMORY_BY_CPU[cpu]) {
+    errors.push(`cpu must be one of ${Object.keys(FARGATE_MEMORY_BY_CPU).join(', ')}, got "${cpu}"`);
+  }
+  if (memory !== undefined) {
+    const allowedMemory = FARGATE_MEMORY_BY_CPU[cpu] || [...new Set(Object.values(FARGATE_MEMORY_BY_CPU).flat())];
+    if (!/^\d+$/.test(memory) || !allowedMemory.includes(Number(memory))) {
+      errors.push(FARGATE_MEMORY_BY_CPU[cpu]
+        ? `memory ${memory} is not supported with cpu ${cpu}, allowed values are ${allowedMemory.join(', ')}`
+        : `memory must be a supported Fargate memory size in MiB, got "${memory}"`);
+    }
+  }
+  
+  if (container.containerPort !== undefined &&
+      !(Number.isInteger(container.containerPort) && container.containerPort >= 1 && container.containerPort <= 65535)) {
+    errors.push(`container-port must be an integer between 1 and 65535, got "${container.containerPort}"`);
+  }
+  
+  if (container.environment !== undefined) {
+    if (!Array.isArray(container.environment)) {
+      errors.push('environment-variables must be an array of {"name","value"} objects');
+    } else {
+      container.environment.forEach((entry, index) => {
+        if (!entry || typeof entry.name !== 'string' || entry.name === '' || typeof entry.value !== 'string') {
+          errors.push(`environment-variables[${index}] must have the shape {"name":"KEY","value":"VALUE"} with string values`);
+        }
+      });
+      errors.push(...findDuplicateNames(container.environment, 'environment-variables'));
+    }
+  }
+  
+  if (container.secrets !== undefined) {
+    if (!Array.isArray(container.secrets)) {
+      errors.push('secrets must be an array of {"name","valueFrom"} objects');
+    } else {
+      container.secrets.forEach((entry, index) => {
+        if (!entry || typeof entry.name !== 'string' || entry.name === '' || typeof entry.valueFrom !== 'string') {
+          errors.push(`secrets[${index}] must have the shape {"name":"KEY","valueFrom":"arn:aws:secretsmanager:..."} with string values`);
+        } else if (entry.valueFrom.startsWith('arn:') && !SECRET_ARN_PATTERN.test(entry.valueFrom)) {
+          errors.push(`secrets[${index}] (${entry.name}) valueFrom must be a Secrets Manager secret or SSM parameter ARN, got "${entry.valueFrom}"`);
+        }
+      });
+      errors.push(...findDuplicateNames(container.secrets, 'secrets'));
+    }
+  }
+  
+  if (container.command !== undefined &&
+      !(Array.isArray(container.command) && container.command.every(item => typeof item === 'string'))) {
+    errors.push('command must be an array of strings');
+  }
+  
+  const credentialsParameter = container.repositoryCredentials?.credentialsParameter;
+  if (credentialsParameter !== undefined && !SECRET_ARN_PATTERN.test(credentialsParameter)) {
+    errors.push(`repository-credentials must be a Secrets Manager secret ARN, got "${credentialsParameter}"`);
+  }
+  
+  for (const [input, field] of [['min-task-count', 'minTaskCount'], ['max-task-count', 'maxTaskCount']]) {
+    if (scaling[field] !== undefined && !(Number.isInteger(scaling[field]) && scaling[field] >= 0)) {
+      errors.push(`${input} must be a non-negative integer, got "${scaling[field]}"`);
+    }
+  }
+  if (Number.isInteger(scaling.minTaskCount) && Number.isInteger(scaling.maxTaskCount) &&
+      scaling.minTaskCount > scaling.maxTaskCount) {
+    errors.push(`min-task-count (${scaling.minTaskCount}) must be less than or equal to max-task-count (${scaling.maxTaskCount})`);
+  }
+  
+  if (scaling.autoScalingMetric !== undefined && !AUTO_SCALING_METRICS.includes(scaling.autoScalingMetric)) {
+    errors.push(`auto-scaling-metric must be one of ${AUTO_SCALING_METRICS.join(', ')}, got "${scaling.autoScalingMetric}"`);
+  }
+  
+  if (scaling.autoScalingTargetValue !== undefined &&
+      !(typeof scaling.autoScalingTargetValue === 'number' && scaling.autoScalingTargetValue > 0)) {
+    errors.push(`auto-scaling-target-value must be a positive number, got "${scaling.autoScalingTargetValue}"`);
+  }
+  
+  if (serviceConfig.tags !== undefined) {
+    serviceConfig.tags.forEach((tag, index) => {
+      if (!tag || typeof tag.key !== 'string' || tag.key === '' || typeof tag.value !== 'string') {
+        errors.push(`tags[${index}] must have the shape {"key":"KEY","value":"VALUE"} with string values`);
+      }
+    });
+  }
+  
+  return errors;
+}
 
 /**
  * Handle complete tag state management for an existing ECS service during updates
@@ -83,6 +675,7 @@ function parseTagsFromMultiline(tagsInput) {
  * @param {string} serviceArn - The ARN of the service to manage tags for
  * @param {Array} previousTags - Array of current tag objects on the service
  * @param {Array} desiredTags - Array of desired tag objects from input
+ * @returns {Object} Applied tag changes: {added, removed} arrays of tag objects
  */
 async function handleTagsOnUpdate(ecs, serviceArn, previousTags, desiredTags) {
   // Normalize inputs
@@ -118,12 +711,12 @@ async function handleTagsOnUpdate(ecs, serviceArn, previousTags, desiredTags) {
     });
     
     try {
-      await ecs.send(untagResourceCommand);
+      await sendWithRetry(ecs, untagResourceCommand);
       core.info(`Successfully removed ${tagsToRemove.length} obsolete tags from service`);
     } catch (error) {
       core.error(`Failed to remove obsolete tags from service: ${error.message}`);
       core.debug(`UntagResource error details: ${JSON.stringify(error, null, 2)}`);
-      throw new Error(`Tag removal failed: ${error.message}`);
+      throw Object.assign(new Error(`Tag removal failed: ${error.message}`, { cause: error }), { name: error.name });
     }
   }
   
@@ -137,373 +730,2960 @@ async function handleTagsOnUpdate(ecs, serviceArn, previousTags, desiredTags) {
     });
     
     try {
-      await ecs.send(tagResourceCommand);
+      await sendWithRetry(ecs, tagResourceCommand);
       core.info(`Successfully applied ${tagsToAdd.length} tags to existing service`);
     } catch (error) {
       core.error(`Failed to apply tags to existing service: ${error.message}`);
       core.debug(`TagResource error details: ${JSON.stringify(error, null, 2)}`);
-      throw new Error(`Tag application failed: ${error.message}`);
+      throw Object.assign(new Error(`Tag application failed: ${error.message}`, { cause: error }), { name: error.name });
     }
   }
   
   if (tagsToRemove.length === 0 && tagsToAdd.length === 0) {
     core.debug('No tag changes needed - current tags match desired tags');
   }
+  
+  return { added: tagsToAdd, removed: tagsToRemove };
 }
 
 /**
- * Main entry point for the GitHub Action
- * Creates or updates an Amazon ECS Express Mode service
+ * Serialize a value for comparison and display with object keys in sorted order
+ * so that semantically equal configurations always produce the same string
+ * @param {*} value - The value to serialize
+ * @returns {string} Stable JSON representation of the value
  */
-async function run() {
+function stableStringify(value) {
+  if (value === undefined) {
+    return 'undefined';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compare two arrays of keyed entries (environment variables, secrets, tags) entry by entry
+ * @param {string} field - Field name used as prefix in the reported changes
+ * @param {Array} currentEntries - Entries currently applied to the service
+ * @param {Array} desiredEntries - Entries requested by the action inputs
+ * @param {string} keyProperty - Property identifying an entry (name or key)
+ * @param {string} valueProperty - Property holding the entry value (value or valueFrom)
+ * @returns {Array} Array of {field, current, desired} change objects
+ */
+function diffKeyedEntries(field, currentEntries, desiredEntries, keyProperty, valueProperty) {
+  const currentMap = new Map((currentEntries || []).map(entry => [entry[keyProperty], entry[valueProperty]]));
+  const desiredMap = new Map((desiredEntries || []).map(entry => [entry[keyProperty], entry[valueProperty]]));
+  const keys = [...new Set([...currentMap.keys(), ...desiredMap.keys()])].sort();
+  
+  return keys
+    .filter(key => currentMap.get(key) !== desiredMap.get(key))
+    .map(key => ({
+      field: `${field}[${key}]`,
+      current: currentMap.get(key),
+      desired: desiredMap.get(key)
+    }));
+}
+
+/**
+ * Compare two plain objects (scalingTarget, networkConfiguration) property by property
+ * @param {string} field - Field name used as prefix in the reported changes
+ * @param {Object} currentObject - Object currently applied to the service
+ * @param {Object} desiredObject - Object requested by the action inputs
+ * @param {Array} unorderedProperties - Array properties compared as sets, ignoring the order of their items
+ * @returns {Array} Array of {field, current, desired} change objects
+ */
+function diffObjectProperties(field, currentObject, desiredObject, unorderedProperties = []) {
+  const current = currentObject || {};
+  const desired = desiredObject || {};
+  const comparable = (object, property) => unorderedProperties.includes(property) && Array.isArray(object[property])
+    ? [...object[property]].sort()
+    : object[property];
+  
+  return Object.keys(desired)
+    .sort()
+    .filter(property => desired[property] !== undefined)
+    .filter(property => stableStringify(comparable(current, property)) !== stableStringify(comparable(desired, property)))
+    .map(property => ({
+      field: `${field}.${property}`,
+      current: current[property],
+      desired: desired[property]
+    }));
+}
+
+/**
+ * Compute a field-by-field diff between the live service configuration and the desired serviceConfig
+ * Only fields set in the desired configuration are compared, since omitted fields are left
+ * untouched by UpdateExpressGatewayService.
+ * @param {Object|null} liveConfig - Active configuration from DescribeExpressGatewayService, or null if the service does not exist
+ * @param {Array|null} liveTags - Tags currently applied to the service, or null to skip the tag comparison
+ * @param {Object} desiredConfig - The serviceConfig built from the action inputs
+ * @returns {Array} Array of {field, current, desired} change objects
+ */
+function diffServiceConfig(liveConfig, liveTags, desiredConfig) {
+  const live = liveConfig || {};
+  const liveContainer = live.primaryContainer || {};
+  const desiredContainer = desiredConfig.primaryContainer || {};
+  const changes = [];
+  
+  if (liveContainer.image !== desiredContainer.image) {
+    changes.push({ field: 'image', current: liveContainer.image, desired: desiredContainer.image });
+  }
+  
+  if (desiredContainer.environment) {
+    changes.push(...diffKeyedEntries('environment', liveContainer.environment, desiredContainer.environment, 'name', 'value'));
+  }
+  
+  if (desiredContainer.secrets) {
+    changes.push(...diffKeyedEntries('secrets', liveContainer.secrets, desiredContainer.secrets, 'name', 'valueFrom'));
+  }
+  
+  for (const field of ['containerPort', 'command']) {
+    if (desiredContainer[field] !== undefined && stableStringify(liveContainer[field]) !== stableStringify(desiredContainer[field])) {
+      changes.push({ field, current: liveContainer[field], desired: desiredContainer[field] });
+    }
+  }
+  
+  for (const field of ['awsLogsConfiguration', 'repositoryCredentials']) {
+    if (desiredContainer[field]) {
+      changes.push(...diffObjectProperties(field, liveContainer[field], desiredContainer[field]));
+    }
+  }
+  
+  for (const field of ['cpu', 'memory']) {
+    if (desiredConfig[field] !== undefined && String(live[field]) !== String(desiredConfig[field])) {
+      changes.push({ field, current: live[field], desired: desiredConfig[field] });
+    }
+  }
+  
+  // The infrastructure role is not part of the active configuration and cannot be compared
+  for (const field of ['executionRoleArn', 'taskRoleArn', 'healthCheckPath']) {
+    if (desiredConfig[field] !== undefined && live[field] !== desiredConfig[field]) {
+      changes.push({ field, current: live[field], desired: desiredConfig[field] });
+    }
+  }
+  
+  if (desiredConfig.scalingTarget) {
+    changes.push(...diffObjectProperties('scalingTarget', live.scalingTarget, desiredConfig.scalingTarget));
+  }
+  
+  if (desiredConfig.networkConfiguration) {
+    changes.push(...diffObjectProperties('networkConfiguration', live.networkConfiguration, desiredConfig.networkConfiguration, ['subnets', 'securityGroups']));
+  }
+  
+  if (liveTags) {
+    changes.push(...diffKeyedEntries('tags', liveTags, desiredConfig.tags || [], 'key', 'value'));
+  }
+  
+  return changes;
+}
+
+/**
+ * Render configuration changes as unified-diff style text
+ * @param {Array} changes - Array of {field, current, desired} change objects
+ * @returns {string} Diff text with "-" lines for current values and "+" lines for desired values
+ */
+function formatConfigDiff(changes) {
+  if (changes.length === 0) {
+    return 'No configuration changes detected';
+  }
+  
+  const lines = [];
+  for (const change of changes) {
+    if (change.current !== undefined) {
+      lines.push(`- ${change.field}: ${stableStringify(change.current)}`);
+    }
+    if (change.desired !== undefined) {
+      lines.push(`+ ${change.field}: ${stableStringify(change.desired)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Print the configuration diff for a dry run without deploying
+ * Fetches the live configuration of an existing service and compares it with the desired serviceConfig.
+ * The diff is logged and written to the job summary.
+ * @param {ECSClient} ecs - The ECS client
+ * @param {string} serviceArn - The ARN of the service
+ * @param {boolean} serviceExists - Whether the service already exists
+ * @param {Array} currentServiceTags - Tags currently applied to the service
+ * @param {boolean} compareTags - Whether tag changes would be applied by a deployment
+ * @param {Object} serviceConfig - The serviceConfig built from the action inputs
+ * @param {Object|null} liveConfig - Active configuration already fetched for the service, fetched when null
+ * @returns {string} The configuration diff, for the config-diff output
+ */
+async function planDeployment(ecs, serviceArn, serviceExists, currentServiceTags, compareTags, serviceConfig, liveConfig = null) {
+  if (serviceExists && !liveConfig) {
+    liveConfig = await describeActiveConfiguration(ecs, serviceArn);
+    
+    if (!liveConfig) {
+      core.warning('Service has no active configuration, comparing against an empty configuration');
+    }
+  }
+  
+  const changes = diffServiceConfig(liveConfig, compareTags ? currentServiceTags : null, serviceConfig);
+  const diffText = formatConfigDiff(changes);
+  
+  core.startGroup(`Dry run: ${changes.length} configuration change(s) for ${serviceConfig.serviceName}`);
+  core.info(diffText);
+  core.endGroup();
+  
+  try {
+    await core.summary
+      .addHeading(`Dry run: ${escapeHtml(serviceConfig.serviceName)}`, 3)
+      .addRaw(serviceExists ? 'The following changes would be applied to the existing service:' : 'The service does not exist and would be created with:', true)
+      .addCodeBlock(diffText, 'diff')
+      .write();
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+  
+  core.info('Dry run complete, no changes were deployed');
+  return diffText;
+}
+
+/**
+ * Compare the live service with the desired serviceConfig and report drift without deploying
+ * Only fields set in the desired configuration are compared, tags only when tags are provided.
+ * A service that does not exist has drifted. The report is logged and written to the job summary.
+ * @param {ECSClient} ecs - The ECS client
+ * @param {string} serviceArn - The ARN of the service
+ * @param {boolean} serviceExists - Whether the service exists
+ * @param {Array} currentServiceTags - Tags currently applied to the service
+ * @param {Object} serviceConfig - The serviceConfig built from the action inputs
+ * @param {Object|null} liveConfig - Active configuration already fetched for the service, fetched when null
+ * @returns {Object} Drift check result: driftDetected and configDiff
+ */
+async function checkServiceDrift(ecs, serviceArn, serviceExists, currentServiceTags, serviceConfig, liveConfig = null) {
+  if (serviceExists && !liveConfig) {
+    liveConfig = await describeActiveConfiguration(ecs, serviceArn);
+  }
+  
+  const changes = diffServiceConfig(liveConfig, serviceConfig.tags ? currentServiceTags : null, serviceConfig);
+  const driftDetected = !serviceExists || changes.length > 0;
+  const diffText = formatConfigDiff(changes);
+  
+  let status = 'No drift';
+  if (!serviceExists) {
+    status = 'Service does not exist';
+  } else if (driftDetected) {
+    status = `${changes.length} difference(s)`;
+  }
+  
+  core.startGroup(`Drift check: ${status} for ${serviceConfig.serviceName}`);
+  core.info(diffText);
+  core.endGroup();
+  
+  if (driftDetected) {
+    core.warning(`Service ${serviceConfig.serviceName} has drifted from the desired configuration: ${status}`, { title: 'Drift detected' });
+  } else {
+    core.info(`Service ${serviceConfig.serviceName} matches the desired configuration`);
+  }
+  
+  const code = (value) => value !== undefined ? `<code>${escapeHtml(stableStringify(value))}</code>` : '-';
+  try {
+    core.summary
+      .addHeading(`Drift check: ${escapeHtml(serviceConfig.serviceName)}`, 3)
+      .addRaw(escapeHtml(status), true);
+    
+    if (changes.length > 0) {
+      core.summary.addTable([
+        [{ data: 'Field', header: true }, { data: 'Live', header: true }, { data: 'Desired', header: true }],
+        ...changes.map(change => [escapeHtml(change.field), code(change.current), code(change.desired)])
+      ]);
+    }
+    
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+  
+  return { driftDetected: driftDetected, configDiff: diffText };
+}
+
+/**
+ * Default wait behaviour used when the wait inputs are not set
+ */
+const DEFAULT_WAIT_OPTIONS = {
+  maxWaitMinutes: 15,
+  pollIntervalSeconds: 15
+};
+
+/**
+ * Number of polls in a row that may fail before waiting for a deployment gives up
+ */
+const MAX_CONSECUTIVE_POLL_ERRORS = 5;
+
+/**
+ * Read the inputs controlling how the action waits for a deployment
+ * @returns {Object} Wait options: waitForDeployment, maxWaitMinutes, pollIntervalSeconds, failOnTimeout, containerLogs
+ */
+function readWaitOptions() {
+  const waitForDeployment = core.getInput('wait-for-deployment', { required: false });
+  const waitTimeout = core.getInput('wait-timeout-minutes', { required: false });
+  const pollInterval = core.getInput('poll-interval-seconds', { required: false });
+  const failOnTimeout = core.getInput('fail-on-timeout', { required: false });
+  const showContainerLogs = core.getInput('show-container-logs', { required: false });
+  
+  return {
+    waitForDeployment: !waitForDeployment || waitForDeployment.toLowerCase() !== 'false',
+    maxWaitMinutes: waitTimeout && waitTimeout.trim() !== '' ? parseNumberInput(waitTimeout) : DEFAULT_WAIT_OPTIONS.maxWaitMinutes,
+    pollIntervalSeconds: pollInterval && pollInterval.trim() !== '' ? parseNumberInput(pollInterval) : DEFAULT_WAIT_OPTIONS.pollIntervalSeconds,
+    failOnTimeout: !!failOnTimeout && failOnTimeout.toLowerCase() === 'true',
+    containerLogs: showContainerLogs && showContainerLogs.trim() !== '' ? showContainerLogs.trim().toLowerCase() : 'false'
+  };
+}
+
+/**
+ * Validate the wait options read from the action inputs
+ * @param {Object} waitOptions - Wait options from readWaitOptions
+ * @returns {Array} Array of error messages, empty if the options are valid
+ */
+function validateWaitOptions(waitOptions) {
+  const errors = [];
+  
+  if (!(typeof waitOptions.maxWaitMinutes === 'number' && waitOptions.maxWaitMinutes > 0)) {
+    errors.push(`wait-timeout-minutes must be a positive number, got "${waitOptions.maxWaitMinutes}"`);
+  }
+  
+  if (!(Number.isInteger(waitOptions.pollIntervalSeconds) && waitOptions.pollIntervalSeconds >= 1)) {
+    errors.push(`poll-interval-seconds must be a positive integer, got "${waitOptions.pollIntervalSeconds}"`);
+  }
+  
+  if (!['true', 'false', 'on-failure'].includes(waitOptions.containerLogs)) {
+    errors.push(`show-container-logs must be one of true, false, on-failure, got "${waitOptions.containerLogs}"`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Fetch the active configuration of an existing service
+ * @param {ECSClient} ecs - The ECS client
+ * @param {string} serviceArn - The ARN of the service
+ * @returns {Object|null} Active configuration from DescribeExpressGatewayService, or null if there is none
+ */
+async function describeActiveConfiguration(ecs, serviceArn) {
+  core.info('Fetching live service configuration...');
+  const describeServiceCommand = new DescribeExpressGatewayServiceCommand({
+    serviceArn: serviceArn
+  });
+  const serviceResponse = await sendWithRetry(ecs, describeServiceCommand);
+  return serviceResponse.service?.activeConfigurations?.[0] || null;
+}
+
+/**
+ * Pick the fields of an active configuration that UpdateExpressGatewayService accepts
+ * @param {Object} activeConfiguration - Active configuration from DescribeExpressGatewayService
+ * @returns {Object} Configuration that re-applies the active configuration when passed to an update
+ */
+function updatableConfiguration(activeConfiguration) {
+  const configuration = {};
+  for (const field of ['executionRoleArn', 'taskRoleArn', 'cpu', 'memory', 'networkConfiguration', 'healthCheckPath', 'primaryContainer', 'scalingTarget']) {
+    if (activeConfiguration[field] !== undefined) {
+      configuration[field] = activeConfiguration[field];
+    }
+  }
+  return configuration;
+}
+
+/**
+ * Overlay the configuration built from the inputs on the active configuration of a service
+ * Fields that were not provided keep their live values, and environment variables and secrets
+ * are merged by name, so settings made outside the workflow are not reset by an update.
+ * @param {Object} activeConfiguration - Active configuration from describeActiveConfiguration
+ * @param {Object} serviceConfig - The serviceConfig built from the action inputs
+ * @returns {Object} The merged configuration to send with UpdateExpressGatewayService
+ */
+function mergeWithActiveConfiguration(activeConfiguration, serviceConfig) {
+  const mergedConfig = mergeServiceConfig(updatableConfiguration(activeConfiguration), serviceConfig);
+  
+  core.startGroup(`Merged configuration for ${serviceConfig.serviceName}`);
+  core.info(JSON.stringify(mergedConfig, null, 2));
+  core.endGroup();
+  
+  return mergedConfig;
+}
+
+/**
+ * Capture the active configuration of an existing service as UpdateExpressGatewayService input
+ * Read-only fields (revision ARNs, ingress paths, timestamps) are dropped from the snapshot.
+ * @param {Object|null} activeConfiguration - Active configuration from describeActiveConfiguration
+ * @returns {Object|null} Configuration snapshot, or null if the service has no active configuration
+ */
+function captureActiveConfiguration(activeConfiguration) {
+  core.info('Capturing active configuration for rollback...');
+  
+  if (!activeConfiguration) {
+    core.warning('Service has no active configuration, rollback on failure will not be available');
+    return null;
+  }
+  
+  const snapshot = updatableConfiguration(activeConfiguration);
+  core.debug(`Captured configuration for rollback: ${JSON.stringify(snapshot, null, 2)}`);
+  return snapshot;
+}
+
+/**
+ * Determine whether an error from waitForServiceStable means the deployment itself failed
+ * @param {Error} error - The error thrown while waiting for the deployment
+ * @returns {boolean} True if the deployment ended in one of FAILED_DEPLOYMENT_STATUSES
+ */
+function isDeploymentFailure(error) {
+  return error instanceof DeploymentFailedError;
+}
+
+/**
+ * Roll an Express service back to a previously captured configuration and wait for it to stabilize
+ * @param {ECSClient} ecs - The ECS client
+ * @param {string} serviceArn - The ARN of the service
+ * @param {Object} previousConfiguration - Snapshot returned by captureActiveConfiguration
+ * @param {Error} deploymentError - The error that caused the rollback
+ * @param {Object} waitOptions - Wait behaviour used while waiting for the rollback
+ */
+async function rollbackToConfiguration(ecs, serviceArn, previousConfiguration, deploymentError, waitOptions) {
+  core.warning(`Deployment failed (${deploymentError.message}), rolling back to the previous configuration`);
+  
+  try {
+    const rollbackStartTime = new Date();
+    const rollbackCommand = new UpdateExpressGatewayServiceCommand({
+      serviceArn: serviceArn,
+      ...previousConfiguration
+    });
+    await sendWithRetry(ecs, rollbackCommand);
+    core.info('Rollback initiated');
+    
+    await waitForServiceStable(ecs, serviceArn, rollbackStartTime, waitOptions);
+  } catch (error) {
+    throw new Error(`${deploymentError.message}. Rollback to the previous configuration failed: ${error.message}`);
+  }
+  
+  core.setOutput('rolled-back', 'true');
+  core.info('Rollback completed successfully');
+}
+
+const DEFAULT_SMOKE_TEST_OPTIONS = {
+  expectedStatus: [200],
+  attempts: 5,
+  retryDelaySeconds: 5,
+  requestTimeoutSeconds: 10
+};
+
+// Upper bound for the exponential backoff between smoke test attempts
+const MAX_SMOKE_TEST_RETRY_DELAY_SECONDS = 60;
+
+/**
+ * Read the inputs controlling the post-deployment smoke test
+ * @param {string} defaultPath - Path to check when smoke-test-paths is not set
+ * @returns {Object} Smoke test options: enabled, paths, expectedStatus, expectedBody, attempts, retryDelaySeconds, requestTimeoutSeconds
+ */
+function readSmokeTestOptions(defaultPath) {
+  const smokeTest = core.getInput('smoke-test', { required: false });
+  const paths = core.getInput('smoke-test-paths', { required: false });
+  const expectedStatus = core.getInput('smoke-test-expected-status', { required: false });
+  const expectedBody = core.getInput('smoke-test-expected-body', { required: false });
+  const attempts = core.getInput('smoke-test-attempts', { required: false });
+  const retryDelay = core.getInput('smoke-test-retry-delay-seconds', { required: false });
+  const requestTimeout = core.getInput('smoke-test-timeout-seconds', { required: false });
+  
+  const splitList = (value) => value.split(/[\n,]/).map(item => item.trim()).filter(item => item !== '');
+  
+  return {
+    enabled: !!smokeTest && smokeTest.toLowerCase() === 'true',
+    paths: paths && paths.trim() !== '' ? splitList(paths) : [defaultPath],
+    expectedStatus: expectedStatus && expectedStatus.trim() !== '' ? splitList(expectedStatus).map(parseNumberInput) : DEFAULT_SMOKE_TEST_OPTIONS.expectedStatus,
+    expectedBody: expectedBody || '',
+    attempts: attempts && attempts.trim() !== '' ? parseNumberInput(attempts) : DEFAULT_SMOKE_TEST_OPTIONS.attempts,
+    retryDelaySeconds: retryDelay && retryDelay.trim() !== '' ? parseNumberInput(retryDelay) : DEFAULT_SMOKE_TEST_OPTIONS.retryDelaySeconds,
+    requestTimeoutSeconds: requestTimeout && requestTimeout.trim() !== '' ? parseNumberInput(requestTimeout) : DEFAULT_SMOKE_TEST_OPTIONS.requestTimeoutSeconds
+  };
+}
+
+/**
+ * Validate the smoke test options read from the action inputs
+ * @param {Object} smokeTestOptions - Smoke test options from readSmokeTestOptions
+ * @returns {Array} Array of error messages, empty if the options are valid or the smoke test is disabled
+ */
+function validateSmokeTestOptions(smokeTestOptions) {
+  const errors = [];
+  
+  if (!smokeTestOptions.enabled) {
+    return errors;
+  }
+  
+  for (const smokeTestPath of smokeTestOptions.paths) {
+    if (!smokeTestPath.startsWith('/')) {
+      errors.push(`smoke-test-paths entries must start with "/", got "${smokeTestPath}"`);
+    }
+  }
+  
+  for (const status of smokeTestOptions.expectedStatus) {
+    if (!(Number.isInteger(status) && status >= 100 && status <= 599)) {
+      errors.push(`smoke-test-expected-status must be a list of HTTP status codes, got "${status}"`);
+    }
+  }
+  
+  if (!(Number.isInteger(smokeTestOptions.attempts) && smokeTestOptions.attempts >= 1)) {
+    errors.push(`smoke-test-attempts must be a positive integer, got "${smokeTestOptions.attempts}"`);
+  }
+  
+  if (!(typeof smokeTestOptions.retryDelaySeconds === 'number' && smokeTestOptions.retryDelaySeconds >= 0)) {
+    errors.push(`smoke-test-retry-delay-seconds must be a non-negative number, got "${smokeTestOptions.retryDelaySeconds}"`);
+  }
+  
+  if (!(typeof smokeTestOptions.requestTimeoutSeconds === 'number' && smokeTestOptions.requestTimeoutSeconds > 0)) {
+    errors.push(`smoke-test-timeout-seconds must be a positive number, got "${smokeTestOptions.requestTimeoutSeconds}"`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Issue a single smoke test request and check the response
+ * @param {string} url - The URL to request
+ * @param {Object} smokeTestOptions - Smoke test options from readSmokeTestOptions
+ * @returns {string|null} Reason the check failed, or null if it passed
+ */
+async function checkSmokeTestUrl(url, smokeTestOptions) {
+  try {
+    const response = await fetch(url, {
+      redirect: 'follow',
+      signal: AbortSignal.timeout(smokeTestOptions.requestTimeoutSeconds * 1000)
+    });
+    const body = await response.text();
+    
+    if (!smokeTestOptions.expectedStatus.includes(response.status)) {
+      return `returned status ${response.status}, expected ${smokeTestOptions.expectedStatus.join(' or ')}`;
+    }
+    if (smokeTestOptions.expectedBody && !body.includes(smokeTestOptions.expectedBody)) {
+      return `response body does not contain "${smokeTestOptions.expectedBody}"`;
+    }
+    return null;
+  } catch (error) {
+    return `request failed: ${error.cause?.message || error.message}`;
+  }
+}
+
+/**
+ * Build the base URL of a service endpoint, which Express Mode may report without a scheme
+ * @param {string} endpoint - The service endpoint
+ * @returns {string} HTTPS URL without a trailing slash
+ */
+function endpointUrl(endpoint) {
+  return (/^https?:\/\//i.test(endpoint) ? endpoint : `https://${endpoint}`).replace(/\/+$/, '');
+}
+
+/**
+ * Run HTTP smoke tests against the service endpoint
+ * Each path is retried with exponential backoff until it passes or the attempts are exhausted.
+ * @param {string} endpoint - The service endpoint reported by waitForServiceStable
+ * @param {Object} smokeTestOptions - Smoke test options from readSmokeTestOptions
+ */
+async function runSmokeTest(endpoint, smokeTestOptions) {
+  if (!endpoint) {
+    throw new Error('Smoke test failed: the service did not report an endpoint');
+  }
+  
+  const baseUrl = endpointUrl(endpoint);
+  core.info(`Running smoke test against ${baseUrl}...`);
+  
+  for (const smokeTestPath of smokeTestOptions.paths) {
+    const url = `${baseUrl}${smokeTestPath}`;
+    let retryDelaySeconds = smokeTestOptions.retryDelaySeconds;
+    
+    for (let attempt = 1; attempt <= smokeTestOptions.attempts; attempt++) {
+      const failure = await checkSmokeTestUrl(url, smokeTestOptions);
+      if (!failure) {
+        core.info(`Smoke test passed: GET ${url}`);
+        break;
+      }
+      if (attempt === smokeTestOptions.attempts) {
+        throw new Error(`Smoke test failed: GET ${url} ${failure} after ${attempt} attempt(s)`);
+      }
+      
+      core.info(`Smoke test attempt ${attempt}/${smokeTestOptions.attempts} for GET ${url} ${failure}, retrying in ${retryDelaySeconds}s`);
+      await new Promise(resolve => setTimeout(resolve, retryDelaySeconds * 1000));
+      retryDelaySeconds = Math.min(retryDelaySeconds * 2, MAX_SMOKE_TEST_RETRY_DELAY_SECONDS);
+    }
+  }
+  
+  core.info('Smoke test completed successfully');
+}
+
+// Amazon ECR image URI: account, region, repository, and an optional tag and digest
+const ECR_IMAGE_PATTERN = /^(\d{12})\.dkr\.ecr(?:-fips)?\.([a-z0-9-]+)\.amazonaws\.com(?:\.cn)?\/([a-z0-9._/-]+?)(?::([\w][\w.-]{0,127}))?(?:@(sha256:[a-f0-9]{64}))?$/;
+
+/**
+ * Split an Amazon ECR image URI into its parts
+ * @param {string} image - Image URI, e.g. 123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest
+ * @returns {Object|null} The registry, registryId, region, repositoryName, tag and digest, or null for images outside ECR
+ */
+function parseEcrImage(image) {
+  const match = ECR_IMAGE_PATTERN.exec(image);
+  if (!match) {
+    return null;
+  }
+  
+  return {
+    registry: image.slice(0, image.indexOf('/')),
+    registryId: match[1],
+    region: match[2],
+    repositoryName: match[3],
+    tag: match[4],
+    digest: match[5]
+  };
+}
+
+/**
+ * Resolve an ECR image to its immutable digest
+ * The image is looked up with ECR DescribeImages, which also verifies that it exists. Images
+ * without a tag or digest resolve the latest tag, like the container runtime does.
+ * @param {string} image - Image URI
+ * @param {Function} credentials - Credential provider for the ECR client, undefined for the default provider chain
+ * @returns {Object|null} The pinned image (registry/repository@digest) and its digest, or null for images outside ECR
+ */
+async function resolveImageDigest(image, credentials) {
+  const ecrImage = parseEcrImage(image);
+  if (!ecrImage) {
+    core.warning(`Image ${image} is not in Amazon ECR, deploying it without resolving its digest`);
+    return null;
+  }
+  
+  const imageId = ecrImage.digest ? { imageDigest: ecrImage.digest } : { imageTag: ecrImage.tag || 'latest' };
+  const ecr = new ECRClient({
+    region: ecrImage.region,
+    credentials: credentials,
+    customUserAgent: 'amazon-ecs-deploy-express-service-for-github-actions'
+  });
+  
+  let response;
+  try {
+    response = await ecr.send(new DescribeImagesCommand({
+      registryId: ecrImage.registryId,
+      repositoryName: ecrImage.repositoryName,
+      imageIds: [imageId]
+    }));
+  } catch (error) {
+    if (error.name === 'ImageNotFoundException' || error.name === 'RepositoryNotFoundException') {
+      throw new Error(`Image not found in Amazon ECR: ${image}`);
+    }
+    throw new Error(`Failed to resolve the digest of ${image}: ${error.message}`);
+  }
+  
+  const digest = response.imageDetails?.[0]?.imageDigest;
+  if (!digest) {
+    throw new Error(`Image not found in Amazon ECR: ${image}`);
+  }
+  if (ecrImage.digest && digest !== ecrImage.digest) {
+    throw new Error(`Amazon ECR returned digest ${digest} for ${image}`);
+  }
+  
+  const pinnedImage = `${ecrImage.registry}/${ecrImage.repositoryName}@${digest}`;
+  core.info(`Resolved image ${image} to ${pinnedImage}`);
+  return {
+    image: pinnedImage,
+    digest: digest
+  };
+}
+
+const SCAN_FINDING_SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFORMATIONAL', 'UNDEFINED'];
+const DEFAULT_SCAN_FINDINGS_MAX_COUNTS = 'CRITICAL=0,HIGH=0';
+
+// How long to wait for an image scan that is still in progress
+const SCAN_FINDINGS_WAIT_SECONDS = 300;
+const SCAN_FINDINGS_POLL_SECONDS = 10;
+
+/**
+ * Read the inputs controlling the image scan findings gate
+ * @returns {Object} Scan gate options: enabled, maxCounts (array of {severity, count, entry}) and allowlist
+ */
+function readScanGateOptions() {
+  const scanGate = core.getInput('scan-findings-gate', { required: false });
+  const maxCounts = core.getInput('scan-findings-max-counts', { required: false });
+  const allowlist = core.getInput('scan-findings-allowlist', { required: false });
+  
+  const splitList = (value) => value.split(/[\n,]/).map(item => item.trim()).filter(item => item !== '');
+  
+  return {
+    enabled: !!scanGate && scanGate.toLowerCase() === 'true',
+    maxCounts: splitList(maxCounts && maxCounts.trim() !== '' ? maxCounts : DEFAULT_SCAN_FINDINGS_MAX_COUNTS).map(entry => {
+      const [severity, count] = entry.split('=').map(part => part.trim());
+      return { severity: severity.toUpperCase(), count: count !== undefined && count !== '' ? parseNumberInput(count) : NaN, entry: entry };
+    }),
+    allowlist: allowlist ? splitList(allowlist) : []
+  };
+}
+
+/**
+ * Validate the scan gate options read from the action inputs
+ * @param {Object} scanGateOptions - Options from readScanGateOptions
+ * @returns {Array} Array of error messages, empty if the options are valid or the gate is disabled
+ */
+function validateScanGateOptions(scanGateOptions) {
+  const errors = [];
+  
+  if (!scanGateOptions.enabled) {
+    return errors;
+  }
+  
+  for (const maxCount of scanGateOptions.maxCounts) {
+    if (!SCAN_FINDING_SEVERITIES.includes(maxCount.severity)) {
+      errors.push(`scan-findings-max-counts severity must be one of ${SCAN_FINDING_SEVERITIES.join(', ')}, got "${maxCount.entry}"`);
+    } else if (!(Number.isInteger(maxCount.count) && maxCount.count >= 0)) {
+      errors.push(`scan-findings-max-counts entries must have the form SEVERITY=COUNT with a non-negative integer count, got "${maxCount.entry}"`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Read all findings of a completed ECR image scan
+ * Waits while the scan is still in progress. Findings of basic and enhanced scanning are
+ * returned in the same shape.
+ * @param {ECRClient} ecr - The ECR client
+ * @param {Object} ecrImage - Image parts from parseEcrImage
+ * @param {string} image - Image URI, used in messages
+ * @returns {Array} Array of {id, severity} findings
+ */
+async function describeScanFindings(ecr, ecrImage, image) {
+  const imageId = ecrImage.digest ? { imageDigest: ecrImage.digest } : { imageTag: ecrImage.tag || 'latest' };
+  const deadline = Date.now() + SCAN_FINDINGS_WAIT_SECONDS * 1000;
+  
+  while (true) {
+    const findings = [];
+    let nextToken;
+    let scanStatus;
+    do {
+      let response;
+      try {
+        response = await ecr.send(new DescribeImageScanFindingsCommand({
+          registryId: ecrImage.registryId,
+          repositoryName: ecrImage.repositoryName,
+          imageId: imageId,
+          maxResults: 1000,
+          nextToken: nextToken
+        }));
+      } catch (error) {
+        if (error.name === 'ScanNotFoundException') {
+          throw new Error(`No scan found for ${image}. Enable scan on push for the repository or scan the image before deploying.`);
+        }
+        if (error.name === 'ImageNotFoundException' || error.name === 'RepositoryNotFoundException') {
+          throw new Error(`Image not found in Amazon ECR: ${image}`);
+        }
+        throw new Error(`Failed to read the scan findings of ${image}: ${error.message}`);
+      }
+      
+      scanStatus = response.imageScanStatus || {};
+      if (scanStatus.status !== 'COMPLETE' && scanStatus.status !== 'ACTIVE') {
+        break;
+      }
+      
+      for (const finding of response.imageScanFindings?.findings || []) {
+        findings.push({ id: finding.name, severity: finding.severity });
+      }
+      for (const finding of response.imageScanFindings?.enhancedFindings || []) {
+        findings.push({ id: finding.packageVulnerabilityDetails?.vulnerabilityId || finding.title, severity: finding.severity });
+      }
+      nextToken = response.nextToken;
+    } while (nextToken);
+    
+    if (scanStatus.status === 'COMPLETE' || scanStatus.status === 'ACTIVE') {
+      return findings;
+    }
+    
+    if (scanStatus.status !== 'IN_PROGRESS' && scanStatus.status !== 'PENDING') {
+      throw new Error(`Image scan of ${image} is ${scanStatus.status}${scanStatus.description ? `: ${scanStatus.description}` : ''}`);
+    }
+    if (Date.now() + SCAN_FINDINGS_POLL_SECONDS * 1000 > deadline) {
+      throw new Error(`Image scan of ${image} did not complete within ${SCAN_FINDINGS_WAIT_SECONDS} seconds`);
+    }
+    core.info(`Image scan is ${scanStatus.status}, waiting ${SCAN_FINDINGS_POLL_SECONDS}s...`);
+    await new Promise(resolve => setTimeout(resolve, SCAN_FINDINGS_POLL_SECONDS * 1000));
+  }
+}
+
+/**
+ * Block the deployment when the ECR scan findings of the image exceed the allowed counts
+ * Findings whose vulnerability ID is on the allowlist are not counted.
+ * @param {string} image - Image URI
+ * @param {Object} scanGateOptions - Options from readScanGateOptions
+ * @param {Function} credentials - Credential provider for the ECR client, undefined for the default provider chain
+ * @returns {string} Summary of the counted findings per severity
+ */
+async function checkScanFindings(image, scanGateOptions, credentials) {
+  const ecrImage = parseEcrImage(image);
+  if (!ecrImage) {
+    throw new Error(`The scan findings gate requires an Amazon ECR image, got ${image}`);
+  }
+  
+  core.info(`Checking scan findings of ${image}...`);
+  const ecr = new ECRClient({
+    region: ecrImage.region,
+    credentials: credentials,
+    customUserAgent: 'amazon-ecs-deploy-express-service-for-github-actions'
+  });
+  const findings = await describeScanFindings(ecr, ecrImage, image);
+  
+  const allowed = findings.filter(finding => scanGateOptions.allowlist.includes(finding.id));
+  const counted = findings.filter(finding => !scanGateOptions.allowlist.includes(finding.id));
+  const countBySeverity = {};
+  for (const finding of counted) {
+    countBySeverity[finding.severity] = (countBySeverity[finding.severity] || 0) + 1;
+  }
+  
+  const summary = SCAN_FINDING_SEVERITIES
+    .filter(severity => countBySeverity[severity])
+    .map(severity => `${severity} ${countBySeverity[severity]}`)
+    .join(', ') || 'no findings';
+  core.info(`Scan findings: ${summary}${allowed.length > 0 ? ` (${allowed.length} allowlisted)` : ''}`);
+  
+  const exceeded = scanGateOptions.maxCounts.filter(maxCount => (countBySeverity[maxCount.severity] || 0) > maxCount.count);
+  if (exceeded.length > 0) {
+    const blocking = [...new Set(counted
+      .filter(finding => exceeded.some(maxCount => maxCount.severity === finding.severity))
+      .map(finding => finding.id))];
+    throw new Error(`Scan findings of ${image} exceed the allowed counts: ` +
+      exceeded.map(maxCount => `${maxCount.severity} ${countBySeverity[maxCount.severity]} > ${maxCount.count}`).join(', ') +
+      `. Blocking findings: ${blocking.slice(0, 10).join(', ')}${blocking.length > 10 ? ` and ${blocking.length - 10} more` : ''}`);
+  }
+  
+  return summary;
+}
+
+const DEFAULT_ROLE_SESSION_NAME = 'amazon-ecs-deploy-express-service';
+const ROLE_SESSION_NAME_PATTERN = /^[\w+=,.@-]{2,64}$/;
+const ROLE_EXTERNAL_ID_PATTERN = /^[\w+=,.@:/-]{2,1224}$/;
+
+/**
+ * Read the inputs for assuming a deployment role
+ * @returns {Object} Assume role options: roleArn, externalId, sessionName
+ */
+function readAssumeRoleOptions() {
+  const roleToAssume = core.getInput('role-to-assume', { required: false });
+  const roleExternalId = core.getInput('role-external-id', { required: false });
+  const roleSessionName = core.getInput('role-session-name', { required: false });
+  
+  return {
+    roleArn: roleToAssume ? roleToAssume.trim() : '',
+    externalId: roleExternalId ? roleExternalId.trim() : '',
+    sessionName: roleSessionName && roleSessionName.trim() !== '' ? roleSessionName.trim() : DEFAULT_ROLE_SESSION_NAME
+  };
+}
+
+/**
+ * Validate the assume role options read from the action inputs
+ * @param {Object} assumeRoleOptions - Options from readAssumeRoleOptions
+ * @returns {Array} Array of error messages, empty if the options are valid
+ */
+function validateAssumeRoleOptions(assumeRoleOptions) {
+  const errors = [];
+  
+  if (!assumeRoleOptions.roleArn) {
+    if (assumeRoleOptions.externalId) {
+      errors.push('role-external-id requires role-to-assume');
+    }
+    return errors;
+  }
+  
+  if (!IAM_ROLE_ARN_PATTERN.test(assumeRoleOptions.roleArn)) {
+    errors.push(`role-to-assume must be an IAM role ARN, got "${assumeRoleOptions.roleArn}"`);
+  }
+  if (assumeRoleOptions.externalId && !ROLE_EXTERNAL_ID_PATTERN.test(assumeRoleOptions.externalId)) {
+    errors.push('role-external-id must be 2-1224 characters of letters, digits and +=,.@:/-_');
+  }
+  if (!ROLE_SESSION_NAME_PATTERN.test(assumeRoleOptions.sessionName)) {
+    errors.push(`role-session-name must be 2-64 characters of letters, digits and +=,.@-_, got "${assumeRoleOptions.sessionName}"`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Determine the credentials and AWS account to deploy with
+ * When role-to-assume is set, the role is assumed with the credentials from the environment and
+ * the temporary credentials are used for all further calls. They are assumed again shortly before
+ * they expire, so deployments that outlast the role session keep working. The account ID is taken
+ * from the caller identity of the resulting credentials, which is only looked up when a role is
+ * assumed or the account is needed to verify service-arn.
+ * @param {Object} assumeRoleOptions - Options from readAssumeRoleOptions
+ * @param {string} region - Region for STS, or undefined to use the region from the environment
+ * @param {boolean} verifyAccount - Whether the account is needed to verify service-arn
+ * @returns {Object} The credential provider (undefined for the default provider chain), and the accountId and
+ *   partition when the caller identity was looked up
+ */
+async function resolveAwsIdentity(assumeRoleOptions, region, verifyAccount) {
+  const refreshWindowMs = 5 * 60 * 1000;
+  const clientConfig = {
+    customUserAgent: 'amazon-ecs-deploy-express-service-for-github-actions'
+  };
+  if (region) {
+    clientConfig.region = region;
+  }
+  
+  let credentials;
+  if (assumeRoleOptions.roleArn) {
+    core.info(`Assuming role ${assumeRoleOptions.roleArn}...`);
+    const assumeRoleInput = {
+      RoleArn: assumeRoleOptions.roleArn,
+      RoleSessionName: assumeRoleOptions.sessionName
+    };
+    if (assumeRoleOptions.externalId) {
+      assumeRoleInput.ExternalId = assumeRoleOptions.externalId;
+    }
+    
+    const assumeRole = fromTemporaryCredentials({ params: assumeRoleInput, clientConfig: clientConfig });
+    
+    // All clients share one role session, which is renewed when it is about to expire
+    let session;
+    credentials = async () => {
+      if (!session || (session.expiration && session.expiration.getTime() - Date.now() < refreshWindowMs)) {
+        session = await assumeRole();
+        core.setSecret(session.secretAccessKey);
+        core.setSecret(session.sessionToken);
+      }
+      return session;
+    };
+    
+    try {
+      await credentials();
+    } catch (error) {
+      throw new Error(`Failed to assume role ${assumeRoleOptions.roleArn}: ${error.message}`);
+    }
+  }
+  
+  if (!assumeRoleOptions.roleArn && !verifyAccount) {
+    return { credentials: credentials };
+  }
+  
+  let identity;
+  try {
+    identity = await new STSClient({ ...clientConfig, credentials: credentials }).send(new GetCallerIdentityCommand({}));
+  } catch (error) {
+    throw new Error(`Failed to determine the AWS account from the caller identity: ${error.message}`);
+  }
+  if (assumeRoleOptions.roleArn) {
+    core.info(`Assumed role ${identity.Arn || assumeRoleOptions.roleArn}`);
+  }
+  core.info(`AWS account: ${identity.Account}`);
+  
+  return {
+    credentials: credentials,
+    accountId: identity.Account,
+    partition: identity.Arn ? identity.Arn.split(':')[1] : undefined
+  };
+}
+
+// GitHub limits deployment status descriptions to 140 characters
+const MAX_GITHUB_DEPLOYMENT_DESCRIPTION_LENGTH = 140;
+
+/**
+ * Read the inputs controlling the GitHub deployment integration
+ * @returns {Object} GitHub deployment options: enabled, token, environment, ref
+ */
+function readGitHubDeploymentOptions() {
+  const githubDeployment = core.getInput('github-deployment', { required: false });
+  const githubEnvironment = core.getInput('github-environment', { required: false });
+  
+  return {
+    enabled: !!githubDeployment && githubDeployment.toLowerCase() === 'true',
+    token: core.getInput('github-token', { required: false }),
+    environment: githubEnvironment && githubEnvironment.trim() !== '' ? githubEnvironment.trim() : 'production',
+    ref: process.env.GITHUB_HEAD_REF || process.env.GITHUB_SHA
+  };
+}
+
+/**
+ * Validate the GitHub deployment options read from the action inputs
+ * @param {Object} githubDeploymentOptions - Options from readGitHubDeploymentOptions
+ * @returns {Array} Array of error messages, empty if the options are valid or the integration is disabled
+ */
+function validateGitHubDeploymentOptions(githubDeploymentOptions) {
+  const errors = [];
+  
+  if (!githubDeploymentOptions.enabled) {
+    return errors;
+  }
+  
+  if (!githubDeploymentOptions.token) {
+    errors.push('github-token is required when github-deployment is true');
+  }
+  if (!process.env.GITHUB_REPOSITORY) {
+    errors.push('GITHUB_REPOSITORY is not set, github-deployment can only be used in a GitHub Actions workflow');
+  }
+  if (!githubDeploymentOptions.ref) {
+    errors.push('GITHUB_SHA is not set, github-deployment can only be used in a GitHub Actions workflow');
+  }
+  
+  return errors;
+}
+
+/**
+ * Send a request to the GitHub REST API
+ * The API URL is taken from GITHUB_API_URL so the action works with GitHub Enterprise Server.
+ * @param {string} token - GitHub token
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - Path of the API endpoint, starting with "/"
+ * @param {Object} body - JSON request body
+ * @returns {Object} Parsed JSON response body
+ */
+async function githubRequest(token, method, apiPath, body) {
+  const apiUrl = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+  const response = await fetch(`${apiUrl}${apiPath}`, {
+    method: method,
+    headers: {
+      'Accept': 'application/vnd.github+json',
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      'User-Agent': 'amazon-ecs-deploy-express-service-for-github-actions',
+      'X-GitHub-Api-Version': '2022-11-28'
+    },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+  
+  if (!response.ok) {
+    throw new Error(`GitHub API ${method} ${apiPath} returned ${response.status}: ${text}`);
+  }
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Create a GitHub deployment for the target environment and mark it in progress
+ * Failures are logged as warnings so that the ECS deployment is not blocked by the GitHub API.
+ * @param {Object} githubDeploymentOptions - Options from readGitHubDeploymentOptions
+ * @param {string} serviceName - Name of the Express service being deployed
+ * @returns {Object|null} GitHub deployment state for updateGitHubDeploymentStatus, or null if it could not be created
+ */
+async function createGitHubDeployment(githubDeploymentOptions, serviceName) {
+  const repository = process.env.GITHUB_REPOSITORY;
+  
+  try {
+    const deployment = await githubRequest(githubDeploymentOptions.token, 'POST', `/repos/${repository}/deployments`, {
+      ref: githubDeploymentOptions.ref,
+      environment: githubDeploymentOptions.environment,
+      description: `Deploy ${serviceName} to Amazon ECS Express Mode`,
+      auto_merge: false,
+      required_contexts: []
+    });
+    core.info(`Created GitHub deployment ${deployment.id} for environment ${githubDeploymentOptions.environment}`);
+    
+    const githubDeployment = {
+      id: deployment.id,
+      repository: repository,
+      token: githubDeploymentOptions.token,
+      logUrl: process.env.GITHUB_RUN_ID
+        ? `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${repository}/actions/runs/${process.env.GITHUB_RUN_ID}`
+        : undefined,
+      lastDescription: null
+    };
+    await updateGitHubDeploymentStatus(githubDeployment, 'in_progress', `Deploying ${serviceName}`);
+    return githubDeployment;
+  } catch (error) {
+    core.warning(`Failed to create GitHub deployment: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Post a status for a GitHub deployment
+ * In-progress statuses are only posted when the description changes. Failures are logged as warnings.
+ * @param {Object} githubDeployment - State returned by createGitHubDeployment
+ * @param {string} state - Deployment state: in_progress, success or failure
+ * @param {string} description - Short description of the status
+ * @param {string} environmentUrl - URL of the deployed environment, for the success state
+ */
+async function updateGitHubDeploymentStatus(githubDeployment, state, description, environmentUrl) {
+  const truncated = description.length > MAX_GITHUB_DEPLOYMENT_DESCRIPTION_LENGTH
+    ? `${description.substring(0, MAX_GITHUB_DEPLOYMENT_DESCRIPTION_LENGTH - 3)}...`
+    : description;
+  
+  if (state === 'in_progress' && truncated === githubDeployment.lastDescription) {
+    return;
+  }
+  githubDeployment.lastDescription = truncated;
+  
+  try {
+    await githubRequest(githubDeployment.token, 'POST', `/repos/${githubDeployment.repository}/deployments/${githubDeployment.id}/statuses`, {
+      state: state,
+      description: truncated,
+      log_url: githubDeployment.logUrl,
+      environment_url: environmentUrl
+    });
+    core.debug(`GitHub deployment ${githubDeployment.id} status: ${state} (${truncated})`);
+  } catch (error) {
+    core.warning(`Failed to update GitHub deployment status: ${error.message}`);
+  }
+}
+
+// Preview service names are also valid DNS labels: lowercase letters, digits and hyphens
+const MAX_PREVIEW_SERVICE_NAME_LENGTH = 63;
+const PREVIEW_COMMENT_MARKER = 'amazon-ecs-deploy-express-service:preview';
+
+/**
+ * Read the inputs and workflow context for pull request preview services
+ * The pull request is taken from the event payload, so previews work for pull_request
+ * and pull_request_target events. Other events fall back to the branch name.
+ * @returns {Object} Preview options: enabled, comment, token, repository, pullRequest, branch
+ */
+function readPreviewOptions() {
+  const preview = core.getInput('preview', { required: false });
+  const previewComment = core.getInput('preview-comment', { required: false });
+  
+  let event = {};
+  if (process.env.GITHUB_EVENT_PATH && fs.existsSync(process.env.GITHUB_EVENT_PATH)) {
+    try {
+      event = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8'));
+    } catch (error) {
+      core.debug(`Unable to read the event payload: ${error.message}`);
+    }
+  }
+  const pullRequest = event.pull_request;
+  
+  return {
+    enabled: !!preview && preview.toLowerCase() === 'true',
+    comment: !previewComment || previewComment.toLowerCase() !== 'false',
+    token: core.getInput('github-token', { required: false }),
+    repository: process.env.GITHUB_REPOSITORY,
+    pullRequest: pullRequest ? pullRequest.number : null,
+    branch: pullRequest?.head?.ref || process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || ''
+  };
+}
+
+/**
+ * Validate the preview options read from the action inputs
+ * @param {Object} previewOptions - Options from readPreviewOptions
+ * @returns {Array} Array of error messages, empty if the options are valid or previews are disabled
+ */
+function validatePreviewOptions(previewOptions) {
+  const errors = [];
+  
+  if (!previewOptions.enabled) {
+    return errors;
+  }
+  
+  if (!previewOptions.pullRequest && !previewOptions.branch) {
+    errors.push('preview requires a pull_request event or a branch name (GITHUB_REF_NAME)');
+  }
+  if (previewOptions.pullRequest && previewOptions.comment) {
+    if (!previewOptions.token) {
+      errors.push('github-token is required when preview-comment is true');
+    }
+    if (!previewOptions.repository) {
+      errors.push('GITHUB_REPOSITORY is not set, preview-comment can only be used in a GitHub Actions workflow');
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Turn text into lowercase letters, digits and single hyphens
+ * @param {string} value - Text such as a branch name
+ * @returns {string} The sanitized text
+ */
+function sanitizeNameSegment(value) {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Derive the name of the preview service for a pull request or branch
+ * Names that are too long are shortened and end with a hash of the full name, so previews of
+ * branches with a long common prefix still get different services.
+ * @param {string} baseName - The service name from the inputs or spec
+ * @param {Object} previewOptions - Options from readPreviewOptions
+ * @returns {string} The preview service name
+ */
+function previewServiceName(baseName, previewOptions) {
+  const suffix = previewOptions.pullRequest ? `pr-${previewOptions.pullRequest}` : previewOptions.branch;
+  const name = sanitizeNameSegment(`${baseName}-${suffix}`);
+  if (name.length <= MAX_PREVIEW_SERVICE_NAME_LENGTH) {
+    return name;
+  }
+  
+  const hash = crypto.createHash('sha256').update(name).digest('hex').slice(0, 7);
+  return `${name.slice(0, MAX_PREVIEW_SERVICE_NAME_LENGTH - hash.length - 1).replace(/-+$/, '')}-${hash}`;
+}
+
+/**
+ * Build the tags that identify a preview service
+ * @param {Object} previewOptions - Options from readPreviewOptions
+ * @returns {Array} Array of {key, value} tags
+ */
+function previewTags(previewOptions) {
+  // Tag values allow letters, digits, spaces and _.:/=+-@
+  const tagValue = (value) => String(value).replace(/[^\w .:/=+@-]/g, '_').slice(0, 256);
+  const tags = [{ key: 'preview', value: 'true' }];
+  
+  if (previewOptions.repository) {
+    tags.push({ key: 'preview:repository', value: tagValue(previewOptions.repository) });
+  }
+  if (previewOptions.pullRequest) {
+    tags.push({ key: 'preview:pull-request', value: String(previewOptions.pullRequest) });
+  }
+  if (previewOptions.branch) {
+    tags.push({ key: 'preview:branch', value: tagValue(previewOptions.branch) });
+  }
+  
+  return tags;
+}
+
+/**
+ * Create or update the pull request comment of a preview service
+ * The comment is found again through a hidden marker, so every push updates the same comment.
+ * Comments are read page by page until the marker is found or the last page is reached.
+ * Failures are logged as warnings and do not fail the deployment.
+ * @param {Object} previewOptions - Options from readPreviewOptions
+ * @param {string} serviceName - The preview service name
+ * @param {string} body - Markdown body of the comment
+ */
+async function updatePreviewComment(previewOptions, serviceName, body) {
+  const commentsPerPage = 100;
+  const marker = `<!-- ${PREVIEW_COMMENT_MARKER}:${serviceName} -->`;
+  const issuePath = `/repos/${previewOptions.repository}/issues/${previewOptions.pullRequest}`;
+  
+  try {
+    // Pull requests can have more comments than fit on one page, and a missed comment would be posted again
+    let existing;
+    for (let page = 1; !existing; page++) {
+      const comments = await githubRequest(previewOptions.token, 'GET', `${issuePath}/comments?per_page=${commentsPerPage}&page=${page}`);
+      existing = comments.find(comment => comment.body && comment.body.includes(marker));
+      if (comments.length < commentsPerPage) {
+        break;
+      }
+    }
+    const commentBody = `${marker}\n${body}`;
+    
+    if (existing) {
+      await githubRequest(previewOptions.token, 'PATCH', `/repos/${previewOptions.repository}/issues/comments/${existing.id}`, { body: commentBody });
+    } else {
+      await githubRequest(previewOptions.token, 'POST', `${issuePath}/comments`, { body: commentBody });
+    }
+    core.info(`${existing ? 'Updated' : 'Posted'} preview comment on pull request #${previewOptions.pullRequest}`);
+  } catch (error) {
+    core.warning(`Failed to update the pull request comment: ${error.message}`);
+  }
+}
+
+/**
+ * Post the outcome of the preview services to the pull request
+ * @param {Object} previewOptions - Options from readPreviewOptions
+ * @param {Array} results - Results of the service deployments or deletions
+ * @param {string} action - The action input, deploy or delete
+ */
+async function commentOnPreviews(previewOptions, results, action) {
+  const commit = process.env.GITHUB_SHA ? ` for commit ${process.env.GITHUB_SHA.slice(0, 7)}` : '';
+  
+  for (const result of results) {
+    let body;
+    if (action === 'delete') {
+      if (!result.deleted) {
+        continue;
+      }
+      body = `Preview service \`${result.serviceName}\` was deleted.`;
+    } else if (result.endpoint) {
+      body = `Preview service \`${result.serviceName}\` is deployed${commit}${result.region ? ` in ${result.region}` : ''}: ${endpointUrl(result.endpoint)}`;
+    } else {
+      body = `Preview service \`${result.serviceName}\` is deployed${commit}. The endpoint is not available yet.`;
+    }
+    await updatePreviewComment(previewOptions, result.serviceName, body);
+  }
+}
+
+/**
+ * Escape text for use in the HTML of the job summary
+ * @param {*} value - The value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Write the deployment report to the job summary
+ * Failures to write the summary are logged as warnings and do not fail the action.
+ * @param {Object} report - Deployment report collected by run()
+ */
+async function writeDeploymentReport(report) {
+  const deployment = report.deployment;
+  const code = (value) => value ? `<code>${escapeHtml(value)}</code>` : '-';
+  
+  let status = 'Not monitored (wait-for-deployment is false)';
+  if (deployment) {
+    status = deployment.statusReason ? `${deployment.status}: ${deployment.statusReason}` : deployment.status;
+  } else if (report.waited) {
+    status = 'Unknown';
+  }
+  
+  const rows = [
+    [{ data: 'Field', header: true }, { data: 'Value', header: true }],
+    ['Service', escapeHtml(report.serviceName)],
+    ['Cluster', escapeHtml(report.clusterName)],
+    ['Region', escapeHtml(report.region)],
+    ['Action', report.serviceExisted ? 'Updated existing service' : 'Created new service'],
+    ['Image before', code(report.imageBefore)],
+    ['Image after', code(report.imageAfter)],
+    ['Deployment', code(deployment?.serviceDeploymentArn)],
+    ['Status', escapeHtml(status)],
+    ['Result', report.error ? `Failed: ${escapeHtml(report.error)}` : 'Succeeded'],
+    ['Duration', `${Math.round((Date.now() - report.startTime.getTime()) / 1000)}s`],
+    ['Tasks', deployment?.targetServiceRevision ? escapeHtml(formatRevisionTasks(deployment.targetServiceRevision)) : '-'],
+    ['Endpoint', report.endpoint ? `<a href="${escapeHtml(endpointUrl(report.endpoint))}">${escapeHtml(report.endpoint)}</a>` : '-']
+  ];
+  
+  if (report.scanFindings) {
+    rows.push(['Scan findings', escapeHtml(report.scanFindings)]);
+  }
+  if (report.smokeTest) {
+    rows.push(['Smoke test', report.smokeTest]);
+  }
+  if (report.rolledBack) {
+    rows.push(['Rolled back', 'Yes, to the previous configuration']);
+  }
+  if (report.githubDeployment) {
+    rows.push(['GitHub deployment', escapeHtml(report.githubDeployment.id)]);
+  }
+  
+  const tagChanges = [
+    ...report.tagChanges.added.map(tag => `Added <code>${escapeHtml(tag.key)}=${escapeHtml(tag.value)}</code>`),
+    ...report.tagChanges.removed.map(tag => `Removed <code>${escapeHtml(tag.key)}</code>`)
+  ];
+  
+  try {
+    core.summary
+      .addHeading(`Deployment report: ${escapeHtml(report.serviceName)}`, 3)
+      .addTable(rows)
+      .addHeading(report.serviceExisted ? 'Configuration changes' : 'Configuration', 4)
+      .addCodeBlock(formatConfigDiff(report.changes), 'diff');
+    
+    if (tagChanges.length > 0) {
+      core.summary
+        .addHeading('Tag changes', 4)
+        .addList(tagChanges);
+    }
+    
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+}
+
+/**
+ * Build the part of the service configuration that is set through action inputs
+ * Only inputs that are set are included, so the result can be merged over a service spec.
+ * Inputs that cannot be parsed are left out and reported in parseErrors, so they are reported
+ * together with the validation errors.
+ * @param {Array} parseErrors - Array that parse error messages are added to
+ * @returns {Object} Service configuration in serviceConfig form
+ */
+function readServiceConfigInputs(parseErrors = []) {
+  // Read service identification and role inputs
+  const serviceName = core.getInput('service-name', { required: false });
+  const image = core.getInput('image', { required: false });
+  const executionRoleArn = core.getInput('execution-role-arn', { required: false });
+  const infrastructureRoleArn = core.getInput('infrastructure-role-arn', { required: false });
+  
+  // The cluster input defaults to 'default', so only an explicit value overrides the spec
+  const clusterInput = core.getInput('cluster', { required: false });
+  
+  // Read optional container configuration inputs
+  const containerPort = core.getInput('container-port', { required: false });
+  const environmentVariables = core.getInput('environment-variables', { required: false });
+  const envFile = core.getInput('env-file', { required: false });
+  const secrets = core.getInput('secrets', { required: false });
+  const command = core.getInput('command', { required: false });
+  const logGroup = core.getInput('log-group', { required: false });
+  const logStreamPrefix = core.getInput('log-stream-prefix', { required: false });
+  const repositoryCredentials = core.getInput('repository-credentials', { required: false });
+  const tags = core.getInput('tags', { required: false });
+  
+  // Read optional resource configuration inputs
+  const cpu = core.getInput('cpu', { required: false });
+  const memory = core.getInput('memory', { required: false });
+  const taskRoleArn = core.getInput('task-role-arn', { required: false });
+  
+  // Read optional networking configuration inputs
+  const subnets = core.getInput('subnets', { required: false });
+  const securityGroups = core.getInput('security-groups', { required: false });
+  
+  // Read optional service configuration inputs
+  const healthCheckPath = core.getInput('health-check-path', { required: false });
+  
+  // Read optional scaling configuration inputs
+  const minTaskCount = core.getInput('min-task-count', { required: false });
+  const maxTaskCount = core.getInput('max-task-count', { required: false });
+  const autoScalingMetric = core.getInput('auto-scaling-metric', { required: false });
+  const autoScalingTargetValue = core.getInput('auto-scaling-target-value', { required: false });
+  
+  // Build SDK command input object
+  const serviceConfig = {
+    primaryContainer: {}
+  };
+  
+  if (serviceName && serviceName.trim() !== '') {
+    serviceConfig.serviceName = serviceName;
+  }
+  
+  if (clusterInput && clusterInput !== 'default') {
+    serviceConfig.cluster = clusterInput;
+  }
+  
+  if (executionRoleArn && executionRoleArn.trim() !== '') {
+    serviceConfig.executionRoleArn = executionRoleArn;
+  }
+  
+  if (infrastructureRoleArn && infrastructureRoleArn.trim() !== '') {
+    serviceConfig.infrastructureRoleArn = infrastructureRoleArn;
+  }
+  
+  if (image && image.trim() !== '') {
+    serviceConfig.primaryContainer.image = image;
+  }
+  
+  // Add optional container configuration
+  if (containerPort && containerPort.trim() !== '') {
+    serviceConfig.primaryContainer.containerPort = parseNumberInput(containerPort);
+  }
+  
+  // Environment variables from env-file are overridden by environment-variables with the same name
+  let envFileVars = [];
+  if (envFile && envFile.trim() !== '') {
+    let envFileContent;
+    try {
+      envFileContent = fs.readFileSync(resolveWorkspacePath(envFile.trim()), 'utf8');
+    } catch (error) {
+      parseErrors.push(`Unable to read env-file ${envFile.trim()}: ${error.message}`);
+    }
+    if (envFileContent !== undefined) {
+      try {
+        envFileVars = parseKeyValueLines(envFileContent, `env-file ${envFile.trim()}`, 'value');
+      } catch (error) {
+        parseErrors.push(error.message);
+      }
+    }
+  }
+  
+  if (environmentVariables && environmentVariables.trim() !== '') {
+    try {
+      const envVars = parseEntriesInput(environmentVariables, 'environment-variables', 'value');
+      serviceConfig.primaryContainer.environment = Array.isArray(envVars) ? mergeKeyedEntries(envFileVars, envVars, 'name') : envVars;
+    } catch (error) {
+      parseErrors.push(error.message);
+    }
+  } else if (envFileVars.length > 0) {
+    serviceConfig.primaryContainer.environment = envFileVars;
+  }
+  
+  if (secrets && secrets.trim() !== '') {
+    try {
+      serviceConfig.primaryContainer.secrets = parseEntriesInput(secrets, 'secrets', 'valueFrom');
+    } catch (error) {
+      parseErrors.push(error.message);
+    }
+  }
+  
+  if (command && command.trim() !== '') {
+    try {
+      const commandArray = JSON.parse(command);
+      serviceConfig.primaryContainer.command = commandArray;
+    } catch (error) {
+      parseErrors.push(`Invalid command JSON: ${error.message}`);
+    }
+  }
+  
+  // Add optional logging configuration
+  if (logGroup && logGroup.trim() !== '' || logStreamPrefix && logStreamPrefix.trim() !== '') {
+    serviceConfig.primaryContainer.awsLogsConfiguration = {};
+    
+    if (logGroup && logGroup.trim() !== '') {
+      serviceConfig.primaryContainer.awsLogsConfiguration.logGroup = logGroup;
+    }
+    
+    if (logStreamPrefix && logStreamPrefix.trim() !== '') {
+      serviceConfig.primaryContainer.awsLogsConfiguration.logStreamPrefix = logStreamPrefix;
+    }
+  }
+  
+  // Add optional repository credentials
+  if (repositoryCredentials && repositoryCredentials.trim() !== '') {
+    serviceConfig.primaryContainer.repositoryCredentials = {
+      credentialsParameter: repositoryCredentials
+    };
+  }
+  
+  // Add optional resource configuration
+  if (cpu && cpu.trim() !== '') {
+    serviceConfig.cpu = cpu;
+  }
+  
+  if (memory && memory.trim() !== '') {
+    serviceConfig.memory = memory;
+  }
+  
+  if (taskRoleArn && taskRoleArn.trim() !== '') {
+    serviceConfig.taskRoleArn = taskRoleArn;
+  }
+  
+  // Add optional networking configuration
+  if (subnets && subnets.trim() !== '') {
+    const subnetArray = subnets.split(',').map(s => s.trim()).filter(s => s !== '');
+    if (subnetArray.length > 0) {
+      serviceConfig.networkConfiguration = {
+        subnets: subnetArray
+      };
+      
+      if (securityGroups && securityGroups.trim() !== '') {
+        const sgArray = securityGroups.split(',').map(s => s.trim()).filter(s => s !== '');
+        if (sgArray.length > 0) {
+          serviceConfig.networkConfiguration.securityGroups = sgArray;
+        }
+      }
+    }
+  }
+  
+  if (healthCheckPath && healthCheckPath.trim() !== '') {
+    serviceConfig.healthCheckPath = healthCheckPath;
+  }
+  
+  // Process tags input
+  if (tags && tags.trim() !== '') {
+    try {
+      let parsedTags;
+      
+      // Try to parse as JSON first
+      if (tags.trim().startsWith('[')) {
+        parsedTags = parseTagsFromJSON(tags);
+      } else {
+        // Parse as multiline format
+        parsedTags = parseTagsFromMultiline(tags);
+      }
+      
+      if (parsedTags.length > 0) {
+        serviceConfig.tags = parsedTags;
+      }
+    } catch (error) {
+      parseErrors.push(`Tag parsing failed: ${error.message}`);
+    }
+  }
+  
+  // Add optional scaling configuration
+  const hasScalingConfig = (minTaskCount && minTaskCount.trim() !== '') ||
+                           (maxTaskCount && maxTaskCount.trim() !== '') ||
+                           (autoScalingMetric && autoScalingMetric.trim() !== '') ||
+                           (autoScalingTargetValue && autoScalingTargetValue.trim() !== '');
+  
+  if (hasScalingConfig) {
+    serviceConfig.scalingTarget = {};
+    
+    if (minTaskCount && minTaskCount.trim() !== '') {
+      serviceConfig.scalingTarget.minTaskCount = parseNumberInput(minTaskCount);
+    }
+    
+    if (maxTaskCount && maxTaskCount.trim() !== '') {
+      serviceConfig.scalingTarget.maxTaskCount = parseNumberInput(maxTaskCount);
+    }
+    
+    if (autoScalingMetric && autoScalingMetric.trim() !== '') {
+      serviceConfig.scalingTarget.autoScalingMetric = autoScalingMetric;
+    }
+    
+    if (autoScalingTargetValue && autoScalingTargetValue.trim() !== '') {
+      serviceConfig.scalingTarget.autoScalingTargetValue = parseNumberInput(autoScalingTargetValue);
+    }
+  }
+  
+  return serviceConfig;
+}
+
+/**
+ * Check that required values of a service configuration are not empty
+ * @param {Array} requiredValues - Array of [inputName, value] pairs
+ * @param {string} label - Added to the error message in parentheses, if set
+ */
+function checkRequiredValues(requiredValues, label) {
+  for (const [inputName, value] of requiredValues) {
+    if (!value || value.trim() === '') {
+      throw new Error(`Input required and not supplied: ${inputName}${label ? ` (${label})` : ''}`);
+    }
+  }
+}
+
+/**
+ * Check that the image and roles needed to create a service are set
+ * @param {Object} serviceConfig - The service configuration
+ * @param {string} label - Added to the error message in parentheses, if set
+ */
+function checkDeploymentInputs(serviceConfig, label) {
+  checkRequiredValues([
+    ['image', serviceConfig.primaryContainer?.image],
+    ['execution-role-arn', serviceConfig.executionRoleArn],
+    ['infrastructure-role-arn', serviceConfig.infrastructureRoleArn]
+  ], label);
+}
+
+/**
+ * Merge the configuration built from action inputs over a service spec and check the required values
+ * @param {Object} specConfig - Service configuration from the service spec, empty if there is none
+ * @param {Object} inputConfig - Service configuration from readServiceConfigInputs
+ * @param {string} label - Identifies the service in error messages when deploying several services
+ * @param {boolean} requireDeploymentInputs - Whether the image and roles are required; deleting,
+ *   redeploying or merging with an existing service only requires its name
+ * @returns {Object} The complete service configuration
+ */
+function resolveServiceConfig(specConfig, inputConfig, label, requireDeploymentInputs = true) {
+  const serviceConfig = mergeServiceConfig(specConfig, inputConfig);
+  
+  checkRequiredValues([['service-name', serviceConfig.serviceName]], label);
+  if (requireDeploymentInputs) {
+    checkDeploymentInputs(serviceConfig, label);
+  }
+  
+  // The default cluster is used when no cluster is passed to the API
+  if (serviceConfig.cluster === 'default') {
+    delete serviceConfig.cluster;
+  }
+  
+  return serviceConfig;
+}
+
+/**
+ * Check that an explicit service ARN matches the region and credentials of the deployment
+ * @param {string} serviceArn - The service ARN from the service-arn input
+ * @param {Object} options - Deployment behaviour: region, accountId and partition
+ */
+function verifyServiceArn(serviceArn, options) {
+  const arnParts = parseServiceArn(serviceArn);
+  
+  if (arnParts.region !== options.region) {
+    throw new Error(`service-arn is in region ${arnParts.region}, but the deployment region is ${options.region}`);
+  }
+  if (options.partition && arnParts.partition !== options.partition) {
+    throw new Error(`service-arn is in partition ${arnParts.partition}, but the credentials are for partition ${options.partition}`);
+  }
+  if (options.accountId && arnParts.accountId !== options.accountId) {
+    throw new Error(`service-arn belongs to account ${arnParts.accountId}, but the credentials are for account ${options.accountId}`);
+  }
+}
+
+/**
+ * Look up the ARN of a service by name
+ * DescribeServices is asked first; if it does not return the service, the services of the
+ * cluster are listed and matched by name.
+ * @param {ECSClient} ecs - The ECS client
+ * @param {string} clusterName - Name of the cluster
+ * @param {string} serviceName - Name of the service
+ * @returns {string|null} The service ARN, or null if the service was not found
+ */
+async function lookupServiceArn(ecs, clusterName, serviceName) {
+  core.info(`Looking up the ARN of service ${serviceName}...`);
+  
+  const describeResponse = await sendWithRetry(ecs, new DescribeServicesCommand({
+    cluster: clusterName,
+    services: [serviceName]
+  }));
+  const service = describeResponse.services?.find(candidate => candidate.serviceName === serviceName && candidate.serviceArn);
+  if (service) {
+    return service.serviceArn;
+  }
+  
+  let nextToken;
+  do {
+    const listResponse = await sendWithRetry(ecs, new ListServicesCommand({
+      cluster: clusterName,
+      nextToken: nextToken
+    }));
+    const serviceArn = (listResponse.serviceArns || []).find(arn => arn.split('/').pop() === serviceName);
+    if (serviceArn) {
+      return serviceArn;
+    }
+    nextToken = listResponse.nextToken;
+  } while (nextToken);
+  
+  return null;
+}
+
+/**
+ * Deploy a single Express service
+ * Checks whether the service exists, creates or updates it, waits for the deployment and runs the
+ * smoke test, rolling back on failure if enabled. In dry-run mode only the configuration diff is computed.
+ * @param {ECSClient} ecs - The ECS client
+ * @param {Object} serviceConfig - The complete service configuration
+ * @param {Object} options - Deployment behaviour: action, region, accountId, partition, credentials, serviceArn, dryRun,
+ *   checkDrift, rollbackOnFailure, tagManagement, updateStrategy, forceNewDeployment, resolveImageDigest, scanGateOptions, waitOptions, smokeTestOptions, githubDeployment
+ *   and setOutputs
+ * @param {Object} result - Result of the service deployment, updated as the deployment progresses
+ *   (serviceArn, endpoint, imageDigest, previousConfiguration, report, configDiff, driftDetected and rolledBack)
+ */
+async function deployService(ecs, serviceConfig, options, result) {
+  try {
+    const serviceName = serviceConfig.serviceName;
+    const clusterName = serviceConfig.cluster || 'default';
+    const executionRoleArn = serviceConfig.executionRoleArn;
+    const waitOptions = options.waitOptions;
+    const smokeTestOptions = options.smokeTestOptions;
+    
+    // Without an image, merge-with-existing keeps the image of the active configuration
+    const imageProvided = !options.forceNewDeployment && !!serviceConfig.primaryContainer?.image;
+    
+    if (options.forceNewDeployment) {
+      core.info('Forcing a new deployment with the active configuration of the service');
+    } else {
+      core.info(`Container image: ${imageProvided ? serviceConfig.primaryContainer.image : 'not provided, keeping the image of the active configuration'}`);
+      core.debug(`Execution role ARN: ${executionRoleArn}`);
+      core.debug(`Infrastructure role ARN: ${serviceConfig.infrastructureRoleArn}`);
+    }
+    
+    // Pin the image to its digest so the tasks run exactly the image that was resolved
+    if (options.resolveImageDigest && imageProvided) {
+      const resolvedImage = await resolveImageDigest(serviceConfig.primaryContainer.image, options.credentials);
+      if (resolvedImage) {
+        serviceConfig = {
+          ...serviceConfig,
+          primaryContainer: { ...serviceConfig.primaryContainer, image: resolvedImage.image }
+        };
+        result.imageDigest = resolvedImage.digest;
+        if (options.setOutputs) {
+          core.setOutput('image-digest', resolvedImage.digest);
+        }
+      }
+    }
+    
+    // Block images whose scan findings exceed the allowed counts before changing the service
+    let scanFindings = null;
+    if (options.scanGateOptions.enabled && imageProvided && !options.checkDrift) {
+      scanFindings = await checkScanFindings(serviceConfig.primaryContainer.image, options.scanGateOptions, options.credentials);
+    }
+    
+    // The service ARN is never constructed: it comes from service-arn or is looked up from ECS
+    let serviceArn = options.serviceArn || null;
+    if (serviceArn) {
+      verifyServiceArn(serviceArn, options);
+      core.info(`Using service ARN: ${serviceArn}`);
+    }
+    
+    // Check if service exists using DescribeServices and capture current tags
+    let serviceExists = false;
+    let currentServiceTags = [];
+    try {
+      core.info('Checking if service exists...');
+      const describeCommand = new DescribeServicesCommand({
+        cluster: clusterName,
+        services: [serviceArn || serviceName],
+        include: ['TAGS']
+      });
+      
+      const describeResponse = await sendWithRetry(ecs, describeCommand);
+      
+      if (describeResponse.services && describeResponse.services.length > 0) {
+        const service = describeResponse.services[0];
+        if (service.status !== 'INACTIVE') {
+          serviceExists = true;
+          currentServiceTags = service.tags || [];
+          serviceArn = service.serviceArn || serviceArn || await lookupServiceArn(ecs, clusterName, serviceName);
+          core.info(`Service exists with status: ${service.status}`);
+          core.info(`Found service ARN: ${serviceArn}`);
+          core.debug(`Current service has ${currentServiceTags.length} tags`);
+        } else {
+          core.info('Service exists but is INACTIVE, will create new service');
+        }
+      } else {
+        core.info('Service does not exist, will create new service');
+      }
+    } catch (error) {
+      if (error.name === 'ServiceNotFoundException' || error.name === 'ClusterNotFoundException') {
+        core.info('Service or cluster not found, will create new service');
+        serviceExists = false;
+      } else {
+        throw error;
+      }
+    }
+    
+    // Log the decision
+    if (serviceExists) {
+      core.info('Will UPDATE existing service');
+    } else {
+      core.info('Will CREATE new service');
+    }
+    
+    // A forced deployment replaces the tasks, keeping the active configuration of the service
+    let liveConfiguration = null;
+    if (options.forceNewDeployment) {
+      if (!serviceExists) {
+        throw new Error(`Service ${serviceName} does not exist in cluster ${clusterName}, force-new-deployment requires an existing service`);
+      }
+      liveConfiguration = await describeActiveConfiguration(ecs, serviceArn);
+      if (!liveConfiguration) {
+        throw new Error(`Service ${serviceName} has no active configuration to redeploy`);
+      }
+      serviceConfig = {
+        serviceName: serviceName,
+        ...(serviceConfig.cluster ? { cluster: serviceConfig.cluster } : {}),
+        ...updatableConfiguration(liveConfiguration)
+      };
+      core.info(`Redeploying image ${serviceConfig.primaryContainer?.image} with the active configuration`);
+      
+      if (options.dryRun) {
+        core.info(`Dry run: a new deployment of ${serviceArn} would be started with the active configuration`);
+        result.configDiff = formatConfigDiff([]);
+        return;
+      }
+    }
+    
+    // Keep the live values of the fields that were not provided when merging with the existing service
+    if (options.updateStrategy === 'merge-with-existing' && !options.forceNewDeployment) {
+      if (serviceExists) {
+        liveConfiguration = await describeActiveConfiguration(ecs, serviceArn);
+        if (liveConfiguration) {
+          serviceConfig = mergeWithActiveConfiguration(liveConfiguration, serviceConfig);
+          const mergeErrors = validateServiceConfig(serviceConfig);
+          if (mergeErrors.length > 0) {
+            throw new Error(`The merged configuration of ${serviceName} is invalid:\n${mergeErrors.map(mergeError => `  - ${mergeError}`).join('\n')}`);
+          }
+        } else {
+          core.warning('Service has no active configuration to merge with, updating with the provided configuration');
+        }
+      } else if (!options.checkDrift) {
+        // There is nothing to merge with, so a new service needs the full configuration
+        checkDeploymentInputs(serviceConfig, `creating service ${serviceName}`);
+      }
+    }
+    
+    // A drift check compares the live service with the desired configuration and never deploys
+    if (options.checkDrift) {
+      const drift = await checkServiceDrift(ecs, serviceArn, serviceExists, currentServiceTags, serviceConfig, liveConfiguration);
+      result.driftDetected = drift.driftDetected;
+      result.configDiff = drift.configDiff;
+      return;
+    }
+    
+    // In dry-run mode, report the configuration diff and stop before deploying
+    if (options.dryRun) {
+      const compareTags = !serviceExists || options.tagManagement;
+      result.configDiff = await planDeployment(ecs, serviceArn, serviceExists, currentServiceTags, compareTags, serviceConfig, liveConfiguration);
+      return;
+    }
+    
+    // Fetch the live configuration of an existing service for rollback and the deployment report
+    if (serviceExists && !liveConfiguration) {
+      liveConfiguration = await describeActiveConfiguration(ecs, serviceArn);
+    }
+    
+    // Capture the active configuration before updating so a failed deployment can be rolled back
+    let previousConfiguration = null;
+    if (options.rollbackOnFailure) {
+      if (!waitOptions.waitForDeployment) {
+        core.warning('Rollback on failure requires wait-for-deployment to be enabled and will be skipped');
+      } else if (serviceExists) {
+        previousConfiguration = captureActiveConfiguration(liveConfiguration);
+      } else {
+        core.info('Rollback on failure is not available when creating a new service');
+      }
+    }
+    result.previousConfiguration = previousConfiguration;
+    
+    // The report is built before the service is changed, so a failed create or update is reported too
+    const report = {
+      serviceName: serviceName,
+      clusterName: clusterName,
+      region: options.region,
+      serviceExisted: serviceExists,
+      imageBefore: liveConfiguration?.primaryContainer?.image,
+      imageAfter: serviceConfig.primaryContainer.image,
+      changes: diffServiceConfig(liveConfiguration, null, serviceConfig),
+      tagChanges: { added: [], removed: [] },
+      startTime: new Date(),
+      waited: waitOptions.waitForDeployment,
+      deployment: null,
+      timedOut: false,
+      endpoint: null,
+      scanFindings: scanFindings,
+      smokeTest: null,
+      rolledBack: false,
+      error: null,
+      githubDeployment: options.githubDeployment
+    };
+    result.report = report;
+    
+    // Create or update the service
+    let response;
+    let deploymentStartTime;
+    try {
+      if (serviceExists && serviceArn) {
+        // Update existing service
+        core.info('Updating Express Gateway service...');
+        // Capture timestamp right before making the API call
+        deploymentStartTime = new Date();
+        // UpdateExpressGatewayService does not deploy an unchanged configuration, so a forced deployment uses UpdateService
+        const updateCommand = options.forceNewDeployment
+          ? new UpdateServiceCommand({ cluster: clusterName, service: serviceArn, forceNewDeployment: true })
+          : new UpdateExpressGatewayServiceCommand({
+            serviceArn: serviceArn,
+            ...serviceConfig
+          });
+        // Handle tags for existing service before update
+        // Note: UpdateExpressGatewayServiceCommand doesn't support tags parameter
+        if (options.tagManagement && !options.forceNewDeployment) {
+          const desiredTags = serviceConfig.tags || [];
+          report.tagChanges = await handleTagsOnUpdate(ecs, serviceArn, currentServiceTags, desiredTags);
+        }
+        
+        response = await sendWithRetry(ecs, updateCommand);
+        core.info('Service updated successfully');
+      } else {
+        // Create new service
+        core.info('Creating Express Gateway service...');
+        // Capture timestamp right before making the API call
+        deploymentStartTime = new Date();
+        const createCommand = new CreateExpressGatewayServiceCommand(serviceConfig);
+        // Creating a service is not idempotent: retrying a request that failed on the server could create it twice
+        response = await sendWithRetry(ecs, createCommand, { retryTransient: false });
+        core.info('Service created successfully');
+        
+        // Log successful tag application for service creation
+        // Note: Tags are only applied during service creation, not during updates
+        if (serviceConfig.tags && serviceConfig.tags.length > 0) {
+          core.debug(`Tags successfully included in service creation`);
+          report.tagChanges = { added: serviceConfig.tags, removed: [] };
+        }
+      }
+    } catch (error) {
+      // Handle AWS SDK errors with helpful messages
+      throw mapAwsError(error, { clusterName: clusterName });
+    }
+    
+    core.debug(`Service response: ${JSON.stringify(response, null, 2)}`);
+    
+    // Get the service ARN from response, looking it up if the response does not include it
+    const finalServiceArn = response?.service?.serviceArn || serviceArn || await lookupServiceArn(ecs, clusterName, serviceName);
+    if (!finalServiceArn) {
+      throw new Error(`Unable to determine the ARN of service ${serviceName} in cluster ${clusterName}`);
+    }
+    result.serviceArn = finalServiceArn;
+    
+    // Set service ARN output
+    if (finalServiceArn) {
+      if (options.setOutputs) {
+        core.setOutput('service-arn', finalServiceArn);
+      }
+      core.info(`Service ARN: ${finalServiceArn}`);
+    }
+    
+    report.startTime = deploymentStartTime;
+    
+    if (!waitOptions.waitForDeployment) {
+      core.info('Not waiting for the deployment to complete (wait-for-deployment is false)');
+      if (smokeTestOptions.enabled) {
+        core.warning('Smoke test requires wait-for-deployment to be enabled and will be skipped');
+      }
+      return;
+    }
+    
+    // Wait for deployment to complete, rolling back to the previous configuration on failure if enabled
+    let endpoint;
+    try {
+      endpoint = await waitForServiceStable(ecs, finalServiceArn, deploymentStartTime, waitOptions, report);
+    } catch (error) {
+      // ECS already restored the previous revision, so re-applying the captured configuration would start another deployment
+      if (previousConfiguration && isDeploymentFailure(error) && error.status === 'ROLLBACK_SUCCESSFUL') {
+        core.info('ECS already rolled the deployment back, skipping rollback on failure');
+        core.setOutput('rolled-back', 'true');
+        report.rolledBack = true;
+        result.rolledBack = true;
+        throw new Error(`${error.message}. ECS rolled the service back to its previous configuration`);
+      }
+      if (previousConfiguration && isDeploymentFailure(error)) {
+        await rollbackToConfiguration(ecs, finalServiceArn, previousConfiguration, error, waitOptions);
+        report.rolledBack = true;
+        result.rolledBack = true;
+        throw new Error(`${error.message}. The service was rolled back to its previous configuration`);
+      }
+      throw error;
+    }
+    
+    result.endpoint = endpoint;
+    if (endpoint && options.setOutputs) {
+      core.setOutput('endpoint', endpoint);
+    }
+    
+    // Check the endpoint serves traffic, rolling back on failure if enabled
+    // A wait that timed out leaves the deployment running, so there is nothing to test yet
+    if (smokeTestOptions.enabled && report.timedOut) {
+      core.warning('Smoke test requires the deployment to complete and will be skipped because the wait timed out');
+    } else if (smokeTestOptions.enabled) {
+      try {
+        await runSmokeTest(endpoint, smokeTestOptions);
+        report.smokeTest = 'Passed';
+      } catch (error) {
+        report.smokeTest = 'Failed';
+        if (previousConfiguration) {
+          await rollbackToConfiguration(ecs, finalServiceArn, previousConfiguration, error, waitOptions);
+          report.rolledBack = true;
+          result.rolledBack = true;
+          throw new Error(`${error.message}. The service was rolled back to its previous configuration`);
+        }
+        throw error;
+      }
+    }
+  } catch (error) {
+    if (result.report) {
+      result.report.error = error.message;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete an Express service and wait until it is INACTIVE
+ * A service that does not exist or is already INACTIVE is not an error, so a teardown
+ * workflow can run more than once.
+ * @param {ECSClient} ecs - The ECS client
+ * @param {Object} serviceConfig - Service identification: serviceName and cluster
+ * @param {Object} options - Deployment behaviour, see deployService
+ * @param {Object} result - Result of the deletion, updated with serviceArn and deleted
+ */
+async function deleteService(ecs, serviceConfig, options, result) {
+  const serviceName = serviceConfig.serviceName;
+  const clusterName = serviceConfig.cluster || 'default';
+  
+  let serviceArn = options.serviceArn || null;
+  if (serviceArn) {
+    verifyServiceArn(serviceArn, options);
+  }
+  
+  core.info(`Checking if service ${serviceName} exists...`);
+  let service;
+  try {
+    const describeResponse = await sendWithRetry(ecs, new DescribeServicesCommand({
+      cluster: clusterName,
+      services: [serviceArn || serviceName]
+    }));
+    service = describeResponse.services?.[0];
+  } catch (error) {
+    if (error.name !== 'ServiceNotFoundException' && error.name !== 'ClusterNotFoundException') {
+      throw error;
+    }
+  }
+  
+  const setDeletedOutput = (deleted) => {
+    result.deleted = deleted;
+    if (options.setOutputs) {
+      core.setOutput('deleted', deleted ? 'true' : 'false');
+    }
+  };
+  
+  if (!service || service.status === 'INACTIVE') {
+    core.info(`Service ${serviceName} not found in cluster ${clusterName}, nothing to delete`);
+    setDeletedOutput(false);
+    return;
+  }
+  
+  serviceArn = service.serviceArn || serviceArn || await lookupServiceArn(ecs, clusterName, serviceName);
+  result.serviceArn = serviceArn;
+  if (options.setOutputs) {
+    core.setOutput('service-arn', serviceArn);
+  }
+  
+  if (options.dryRun) {
+    core.info(`Dry run: service ${serviceArn} would be deleted`);
+    return;
+  }
+  
+  core.info(`Deleting Express Gateway service ${serviceArn}...`);
+  try {
+    await sendWithRetry(ecs, new DeleteExpressGatewayServiceCommand({ serviceArn: serviceArn }));
+  } catch (error) {
+    if (error.name === 'ServiceNotFoundException' || error.name === 'ServiceNotActiveException') {
+      core.info(`Service ${serviceName} was already deleted`);
+      setDeletedOutput(false);
+      return;
+    }
+    throw mapAwsError(error, { clusterName: clusterName });
+  }
+  core.info('Service deletion started');
+  setDeletedOutput(true);
+  
+  if (!options.waitOptions.waitForDeployment) {
+    core.info('Not waiting for the service to become INACTIVE (wait-for-deployment is false)');
+    return;
+  }
+  await waitForServiceInactive(ecs, serviceArn, options.waitOptions);
+}
+
+/**
+ * Roll back services that were deployed successfully after another deployment in the group failed
+ * @param {Array} results - Results of the service deployments in the group
+ * @param {Function} clientForResult - Returns the ECS client to roll back a result with
+ * @param {Error} groupError - The error that caused the group to fail
+ * @param {Object} waitOptions - Options for waiting for the rollback deployment
+ */
+async function rollbackSucceededServices(results, clientForResult, groupError, waitOptions) {
+  for (const result of results) {
+    if (result.status === 'succeeded' && result.previousConfiguration) {
+      try {
+        await rollbackToConfiguration(clientForResult(result), result.serviceArn, result.previousConfiguration, groupError, waitOptions);
+        result.status = 'rolled-back';
+        result.rolledBack = true;
+        result.report.rolledBack = true;
+      } catch (error) {
+        result.error = error.message;
+        core.error(error.message, { title: `Rollback of ${result.serviceName} failed` });
+      }
+    }
+  }
+}
+
+/**
+ * Deploy several Express services with limited parallelism
+ * Once a service fails, services that have not been started yet are skipped. With rollback-on-failure,
+ * services that were already updated successfully are rolled back too, so the group fails as a whole.
+ * Fails with the errors of all failed services.
+ * @param {ECSClient} ecs - The ECS client
+ * @param {Array} serviceConfigs - The complete configuration of each service
+ * @param {Array} smokeTestOptionsList - Smoke test options for each service
+ * @param {Object} options - Deployment behaviour shared by all services, see deployService
+ * @param {number} maxParallel - Maximum number of services deployed at the same time
+ * @param {Array} results - Array that receives the result of each service deployment
+ */
+async function deployServices(ecs, serviceConfigs, smokeTestOptionsList, options, maxParallel, results) {
+  const groupResults = serviceConfigs.map(serviceConfig => ({
+    serviceName: serviceConfig.serviceName,
+    region: options.region,
+    status: 'pending'
+  }));
+  results.push(...groupResults);
+  
+  // Dry runs write to the job summary as they go, so services are planned one at a time
+  const workerCount = options.dryRun ? 1 : Math.min(maxParallel, serviceConfigs.length);
+  let nextIndex = 0;
+  let groupFailed = false;
+  
+  const deployNext = async () => {
+    while (nextIndex < serviceConfigs.length) {
+      const index = nextIndex++;
+      const result = groupResults[index];
+      
+      if (groupFailed) {
+        result.status = 'skipped';
+        core.info(`Skipping service ${result.serviceName} because another service failed`);
+        continue;
+      }
+      
+      core.info(`${options.action === 'delete' ? 'Deleting' : 'Deploying'} service ${result.serviceName} (${index + 1}/${serviceConfigs.length})`);
+      try {
+        const runService = () => runServiceAction(ecs, serviceConfigs[index], { ...options, smokeTestOptions: smokeTestOptionsList[index] }, result);
+        await (workerCount > 1
+          ? core.withLogPrefix(options.region ? `${options.region}/${result.serviceName}` : result.serviceName, runService)
+          : runService());
+        result.status = 'succeeded';
+      } catch (error) {
+        result.status = result.rolledBack ? 'rolled-back' : 'failed';
+        result.error = error.message;
+        groupFailed = true;
+        core.error(error.message, { title: `Deployment of ${result.serviceName} failed` });
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: workerCount }, deployNext));
+  
+  // Roll back services that were deployed successfully so the group stays consistent
+  if (groupFailed && options.rollbackOnFailure) {
+    const failedNames = groupResults.filter(result => result.error).map(result => result.serviceName);
+    await rollbackSucceededServices(groupResults, () => ecs, new Error(`Deployment of ${failedNames.join(', ')} failed`), options.waitOptions);
+  }
+  
+  if (groupFailed) {
+    const errors = groupResults.filter(result => result.error);
+    const skipped = groupResults.filter(result => result.status === 'skipped').length;
+    throw new Error(`Deployment failed for ${errors.length} of ${groupResults.length} services${skipped > 0 ? ` (${skipped} skipped)` : ''}:\n` +
+      errors.map(result => `  - ${result.serviceName}: ${result.error}`).join('\n'));
+  }
+}
+
+/**
+ * Deploy or delete a service, depending on the action input
+ * @param {ECSClient} ecs - The ECS client
+ * @param {Object} serviceConfig - The complete service configuration
+ * @param {Object} options - Deployment behaviour, see deployService
+ * @param {Object} result - Result of the service deployment or deletion
+ */
+async function runServiceAction(ecs, serviceConfig, options, result) {
+  if (options.action === 'delete') {
+    await deleteService(ecs, serviceConfig, options, result);
+  } else {
+    await deployService(ecs, serviceConfig, options, result);
+  }
+}
+
+/**
+ * Deploy the services to the region of the given ECS client
+ * @param {ECSClient} ecs - The ECS client for the region
+ * @param {Array} serviceConfigs - The complete configuration of each service
+ * @param {Array} smokeTestOptionsList - Smoke test options for each service
+ * @param {Object} options - Deployment behaviour shared by all services, see deployService
+ * @param {number} maxParallel - Maximum number of services deployed at the same time
+ * @param {Array} results - Array that receives the result of each service deployment
+ */
+async function deployToRegion(ecs, serviceConfigs, smokeTestOptionsList, options, maxParallel, results) {
+  if (serviceConfigs.length > 1) {
+    await deployServices(ecs, serviceConfigs, smokeTestOptionsList, options, maxParallel, results);
+    return;
+  }
+  
+  const result = { serviceName: serviceConfigs[0].serviceName, region: options.region, status: 'pending' };
+  results.push(result);
+  try {
+    await runServiceAction(ecs, serviceConfigs[0], { ...options, smokeTestOptions: smokeTestOptionsList[0] }, result);
+    result.status = 'succeeded';
+  } catch (error) {
+    result.status = result.rolledBack ? 'rolled-back' : 'failed';
+    result.error = error.message;
+    throw error;
+  }
+}
+
+const AWS_REGION_PATTERN = /^[a-z]{2}(-[a-z]+)+-\d+$/;
+
+/**
+ * Parse the regions input into deployment waves
+ * Each line is a wave that is deployed after the previous one; regions separated by commas
+ * on the same line are deployed in parallel.
+ * @param {string} regionsInput - Regions, one wave per line
+ * @returns {Array} Array of waves, each an array of region names
+ */
+function parseRegionsInput(regionsInput) {
+  return regionsInput
+    .split(/\r?\n/)
+    .map(line => line.split(',').map(region => region.trim()).filter(region => region !== ''))
+    .filter(wave => wave.length > 0);
+}
+
+/**
+ * Validate the deployment waves parsed from the regions input
+ * @param {Array} regionWaves - Waves of region names
+ * @returns {Array} Validation error messages, empty when the regions are valid
+ */
+function validateRegions(regionWaves) {
+  const errors = [];
+  const regions = regionWaves.flat();
+  
+  for (const region of regions) {
+    if (!AWS_REGION_PATTERN.test(region)) {
+      errors.push(`regions contains an invalid region name "${region}"`);
+    }
+  }
+  
+  for (const region of new Set(regions.filter((value, index) => regions.indexOf(value) !== index))) {
+    errors.push(`regions lists ${region} more than once`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Deploy the same services to several regions in waves
+ * Regions in a wave are deployed in parallel and waves are deployed one after the other.
+ * Once a region fails, later waves are skipped. With rollback-on-failure, services that were
+ * deployed successfully in other regions are rolled back too.
+ * @param {Array} regionWaves - Waves of region names
+ * @param {Array} serviceConfigs - The complete configuration of each service
+ * @param {Array} smokeTestOptionsList - Smoke test options for each service
+ * @param {Object} options - Deployment behaviour shared by all regions, see deployService
+ * @param {number} maxParallel - Maximum number of services deployed at the same time in a region
+ * @param {Array} results - Array that receives the result of each service deployment in each region
+ */
+async function deployRegions(regionWaves, serviceConfigs, smokeTestOptionsList, options, maxParallel, results) {
+  // Dry runs write to the job summary as they go, so regions are planned one at a time
+  const waves = options.dryRun ? regionWaves.flat().map(region => [region]) : regionWaves;
+  const clients = new Map();
+  const failedRegions = [];
+  
+  for (const [waveIndex, wave] of waves.entries()) {
+    if (failedRegions.length > 0) {
+      for (const region of wave) {
+        core.info(`Skipping region ${region} because an earlier region failed`);
+        results.push(...serviceConfigs.map(serviceConfig => ({ serviceName: serviceConfig.serviceName, region: region, status: 'skipped' })));
+      }
+      continue;
+    }
+    
+    core.info(`Deploying to ${wave.join(', ')} (wave ${waveIndex + 1}/${waves.length})`);
+    await Promise.all(wave.map(async region => {
+      const ecs = new ECSClient({
+        region: region,
+        credentials: options.credentials,
+        // Requests are retried by sendWithRetry, so the SDK must not retry them as well
+        maxAttempts: 1,
+        customUserAgent: 'amazon-ecs-deploy-express-service-for-github-actions'
+      });
+      clients.set(region, ecs);
+      
+      try {
+        const deployRegion = () => deployToRegion(ecs, serviceConfigs, smokeTestOptionsList, { ...options, region: region }, maxParallel, results);
+        await (wave.length > 1 ? core.withLogPrefix(region, deployRegion) : deployRegion());
+      } catch (error) {
+        failedRegions.push({ region: region, message: error.message });
+        core.error(error.message, { title: `Deployment to ${region} failed` });
+      }
+    }));
+  }
+  
+  if (failedRegions.length === 0) {
+    return;
+  }
+  
+  // Roll back regions that were deployed successfully so all regions run the same configuration
+  if (options.rollbackOnFailure) {
+    const regionError = new Error(`Deployment to ${failedRegions.map(failure => failure.region).join(', ')} failed`);
+    await rollbackSucceededServices(results, result => clients.get(result.region), regionError, options.waitOptions);
+  }
+  
+  const regionCount = regionWaves.flat().length;
+  const skipped = regionCount - clients.size;
+  throw new Error(`Deployment failed in ${failedRegions.length} of ${regionCount} regions${skipped > 0 ? ` (${skipped} skipped)` : ''}:\n` +
+    failedRegions.map(failure => `  - ${failure.region}: ${failure.message}`).join('\n'));
+}
+
+/**
+ * Set the outputs that summarize all service deployments of the run
+ * @param {Array} results - Results of the service deployments
+ * @param {Object} options - Deployment behaviour: dryRun, checkDrift, multipleServices and multipleRegions
+ */
+function setDeploymentOutputs(results, options) {
+  const summarize = result => ({
+    serviceName: result.serviceName,
+    serviceArn: result.serviceArn,
+    endpoint: result.endpoint,
+    imageDigest: result.imageDigest,
+    deleted: result.deleted,
+    driftDetected: result.driftDetected,
+    status: result.status,
+    error: result.error
+  });
+  
+  if (options.multipleRegions) {
+    const regionDeployments = {};
+    for (const result of results) {
+      (regionDeployments[result.region] = regionDeployments[result.region] || []).push(summarize(result));
+    }
+    core.setOutput('region-deployments', JSON.stringify(regionDeployments));
+  } else if (options.multipleServices) {
+    core.setOutput('deployments', JSON.stringify(results.map(summarize)));
+  }
+  
+  if (options.dryRun) {
+    const diffResults = results.filter(result => result.configDiff !== undefined);
+    if (options.multipleRegions || options.multipleServices) {
+      core.setOutput('config-diff', diffResults
+        .map(result => `# ${options.multipleRegions ? `${result.region}/` : ''}${result.serviceName}\n${result.configDiff}`)
+        .join('\n\n'));
+    } else if (diffResults.length > 0) {
+      core.setOutput('config-diff', diffResults[0].configDiff);
+    }
+  }
+  
+  if (options.checkDrift) {
+    core.setOutput('drift-detected', results.some(result => result.driftDetected) ? 'true' : 'false');
+  }
+}
+
+/**
+ * Main entry point for the GitHub Action
+ * Creates or updates one or more Amazon ECS Express Mode services
+ */
+async function run() {
+  // Results of the service deployments; their reports are written to the job summary at the end
+  const results = [];
+  let githubDeployment = null;
+  
   try {
     core.info('Amazon ECS Deploy Express Service action started');
     
-    // Read required inputs
-    const serviceName = core.getInput('service-name', { required: false });
-    const image = core.getInput('image', { required: false });
-    const executionRoleArn = core.getInput('execution-role-arn', { required: false });
-    const infrastructureRoleArn = core.getInput('infrastructure-role-arn', { required: false });
+    // Load service definitions from the optional service spec file or services input
+    // Action inputs override values from the spec and apply to every service
+    const serviceSpec = core.getInput('service-spec', { required: false });
+    const servicesInput = core.getInput('services', { required: false });
+    const hasServiceSpec = !!serviceSpec && serviceSpec.trim() !== '';
+    const hasServicesInput = !!servicesInput && servicesInput.trim() !== '';
     
-    // Validate required inputs are not empty
-    if (!serviceName || serviceName.trim() === '') {
-      throw new Error('Input required and not supplied: service-name');
+    if (hasServiceSpec && hasServicesInput) {
+      throw new Error('Use either service-spec or services, not both');
     }
     
-    if (!image || image.trim() === '') {
-      throw new Error('Input required and not supplied: image');
+    let specConfigs = [{}];
+    if (hasServicesInput) {
+      specConfigs = parseServicesInput(servicesInput);
+    } else if (hasServiceSpec) {
+      specConfigs = loadServiceSpecs(serviceSpec.trim());
     }
+    const multipleServices = specConfigs.length > 1;
     
-    if (!executionRoleArn || executionRoleArn.trim() === '') {
-      throw new Error('Input required and not supplied: execution-role-arn');
+    const actionInput = core.getInput('action', { required: false });
+    const action = actionInput && actionInput.trim() !== '' ? actionInput.trim().toLowerCase() : 'deploy';
+    if (action !== 'deploy' && action !== 'delete') {
+      throw new Error(`action must be "deploy" or "delete", got "${actionInput}"`);
     }
     
-    if (!infrastructureRoleArn || infrastructureRoleArn.trim() === '') {
-      throw new Error('Input required and not supplied: infrastructure-role-arn');
+    const forceNewDeploymentInput = core.getInput('force-new-deployment', { required: false });
+    const forceNewDeployment = !!forceNewDeploymentInput && forceNewDeploymentInput.toLowerCase() === 'true';
+    if (forceNewDeployment && action === 'delete') {
+      throw new Error('force-new-deployment cannot be used with action: delete');
     }
     
-    core.info(`Container image: ${image}`);
-    core.debug(`Execution role ARN: ${executionRoleArn}`);
-    core.debug(`Infrastructure role ARN: ${infrastructureRoleArn}`);
+    const checkDriftInput = core.getInput('check-drift', { required: false });
+    const checkDrift = !!checkDriftInput && checkDriftInput.toLowerCase() === 'true';
+    if (checkDrift && (action === 'delete' || forceNewDeployment)) {
+      throw new Error(`check-drift cannot be used with ${action === 'delete' ? 'action: delete' : 'force-new-deployment'}`);
+    }
     
-    // Create ECS client with custom user agent
-    // Uses default credential provider chain from environment (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN)
-    // Region is automatically detected from AWS_REGION or AWS_DEFAULT_REGION environment variables
-    const ecs = new ECSClient({
-      customUserAgent: 'amazon-ecs-deploy-express-service-for-github-actions'
-    });
+    const inputParseErrors = [];
+    const inputConfig = readServiceConfigInputs(inputParseErrors);
+    if (multipleServices && inputConfig.serviceName) {
+      throw new Error('service-name cannot be used when deploying multiple services, set serviceName for each service instead');
+    }
     
-    core.debug('ECS client created successfully');
+    // An explicit service ARN identifies the service and its cluster
+    const serviceArnInput = core.getInput('service-arn', { required: false });
+    const explicitServiceArn = serviceArnInput ? serviceArnInput.trim() : '';
+    if (explicitServiceArn) {
+      const arnParts = parseServiceArn(explicitServiceArn);
+      if (!arnParts) {
+        throw new Error(`service-arn must be an ECS service ARN (arn:aws:ecs:REGION:ACCOUNT-ID:service/CLUSTER/NAME), got "${explicitServiceArn}"`);
+      }
+      if (multipleServices) {
+        throw new Error('service-arn cannot be used when deploying multiple services');
+      }
+      if (inputConfig.serviceName && inputConfig.serviceName !== arnParts.serviceName) {
+        throw new Error(`service-name "${inputConfig.serviceName}" does not match service-arn, which names service "${arnParts.serviceName}"`);
+      }
+      if (inputConfig.cluster && inputConfig.cluster !== arnParts.cluster) {
+        throw new Error(`cluster "${inputConfig.cluster}" does not match service-arn, which is in cluster "${arnParts.cluster}"`);
+      }
+      inputConfig.serviceName = arnParts.serviceName;
+      inputConfig.cluster = arnParts.cluster;
+    }
     
-    // Read optional inputs for service identification
-    const clusterName = core.getInput('cluster', { required: false }) || 'default';
+    // When merging with an existing service, the image and roles can be taken from its active configuration
+    const updateStrategyInput = core.getInput('update-strategy', { required: false });
+    const updateStrategy = updateStrategyInput && updateStrategyInput.trim() !== '' ? updateStrategyInput.trim().toLowerCase() : 'replace';
     
-    // Read optional container configuration inputs
-    const containerPort = core.getInput('container-port', { required: false });
-    const environmentVariables = core.getInput('environment-variables', { required: false });
-    const secrets = core.getInput('secrets', { required: false });
-    const command = core.getInput('command', { required: false });
-    const logGroup = core.getInput('log-group', { required: false });
-    const logStreamPrefix = core.getInput('log-stream-prefix', { required: false });
-    const repositoryCredentials = core.getInput('repository-credentials', { required: false });
-    const tags = core.getInput('tags', { required: false });
-    const enableTagManagement = core.getInput('mutate-tags-on-update', { required: false });
+    const serviceConfigs = specConfigs.map((specConfig, index) => resolveServiceConfig(
+      specConfig,
+      inputConfig,
+      multipleServices ? `service ${specConfig.serviceName || index + 1}` : '',
+      action === 'deploy' && !forceNewDeployment && updateStrategy !== 'merge-with-existing'
+    ));
     
-    // Read optional resource configuration inputs
-    const cpu = core.getInput('cpu', { required: false });
-    const memory = core.getInput('memory', { required: false });
-    const taskRoleArn = core.getInput('task-role-arn', { required: false });
+    // Preview services are named after the pull request or branch and tagged with it
+    const previewOptions = readPreviewOptions();
+    if (previewOptions.enabled && (previewOptions.pullRequest || previewOptions.branch)) {
+      for (const serviceConfig of serviceConfigs) {
+        serviceConfig.serviceName = previewServiceName(serviceConfig.serviceName, previewOptions);
+        serviceConfig.tags = mergeKeyedEntries(serviceConfig.tags, previewTags(previewOptions), 'key');
+        core.info(`Preview service name: ${serviceConfig.serviceName}`);
+      }
+      if (!multipleServices) {
+        core.setOutput('service-name', serviceConfigs[0].serviceName);
+      }
+    }
     
-    // Read optional networking configuration inputs
-    const subnets = core.getInput('subnets', { required: false });
-    const securityGroups = core.getInput('security-groups', { required: false });
+    if (hasServiceSpec || hasServicesInput) {
+      core.debug(`Service configuration merged with spec: ${JSON.stringify(serviceConfigs, null, 2)}`);
+    }
     
-    // Read optional service configuration inputs
-    const healthCheckPath = core.getInput('health-check-path', { required: false });
+    // Read optional deployment behaviour inputs
+    const dryRun = core.getInput('dry-run', { required: false });
+    const rollbackOnFailure = core.getInput('rollback-on-failure', { required: false });
+    const enableTagManagement = core.getInput('mutate-tags-on-update', { required: false });
+    const resolveImageDigestInput = core.getInput('resolve-image-digest', { required: false });
+    const maxParallelInput = core.getInput('max-parallel', { required: false });
+    const maxParallel = maxParallelInput && maxParallelInput.trim() !== '' ? parseNumberInput(maxParallelInput) : 1;
+    const regionsInput = core.getInput('regions', { required: false });
+    const regionWaves = regionsInput ? parseRegionsInput(regionsInput) : [];
+    const multipleRegions = regionWaves.length > 0;
+    const waitOptions = readWaitOptions();
+    const githubDeploymentOptions = readGitHubDeploymentOptions();
+    const assumeRoleOptions = readAssumeRoleOptions();
+    const scanGateOptions = readScanGateOptions();
     
-    // Read optional scaling configuration inputs
-    const minTaskCount = core.getInput('min-task-count', { required: false });
-    const maxTaskCount = core.getInput('max-task-count', { required: false });
-    const autoScalingMetric = core.getInput('auto-scaling-metric', { required: false });
-    const autoScalingTargetValue = core.getInput('auto-scaling-target-value', { required: false });
+    // Smoke tests default to the health check path, which Express Mode defaults to /ping
+    const smokeTestOptionsList = serviceConfigs.map(serviceConfig => readSmokeTestOptions(serviceConfig.healthCheckPath || '/ping'));
     
-    // Get AWS region from ECS client config
-    const region = await ecs.config.region();
-    core.debug(`AWS Region: ${region}`);
+    // Validate the complete configuration before making any AWS calls
+    const validationErrors = [...inputParseErrors];
+    serviceConfigs.forEach((serviceConfig, index) => {
+      if (action === 'delete') {
+        return;
+      }
+      // A forced deployment re-uses the active configuration, so only the smoke test comes from the inputs
+      if (!forceNewDeployment) {
+        const prefix = multipleServices ? `${serviceConfig.serviceName}: ` : '';
+        validationErrors.push(...validateServiceConfig(serviceConfig).map(validationError => `${prefix}${validationError}`));
+      }
+      validationErrors.push(...validateSmokeTestOptions(smokeTestOptionsList[index]));
+    });
     
-    // Parse account ID from execution-role-arn
-    // Format: arn:aws:iam::ACCOUNT-ID:role/name
-    const arnParts = executionRoleArn.split(':');
-    if (arnParts.length < 5) {
-      throw new Error(`Invalid execution-role-arn format: ${executionRoleArn}`);
+    const serviceKeys = serviceConfigs.map(serviceConfig => `${serviceConfig.cluster || 'default'}/${serviceConfig.serviceName}`);
+    for (const serviceKey of new Set(serviceKeys.filter((key, index) => serviceKeys.indexOf(key) !== index))) {
+      validationErrors.push(`service ${serviceKey} is defined more than once`);
     }
-    const accountId = arnParts[4];
-    core.debug(`AWS Account ID: ${accountId}`);
     
-    // Construct service ARN
-    const serviceArn = `arn:aws:ecs:${region}:${accountId}:service/${clusterName}/${serviceName}`;
-    core.info(`Constructed service ARN: ${serviceArn}`);
+    if (!UPDATE_STRATEGIES.includes(updateStrategy)) {
+      validationErrors.push(`update-strategy must be one of ${UPDATE_STRATEGIES.join(', ')}, got "${updateStrategyInput}"`);
+    }
     
-    // Check if service exists using DescribeServices and capture current tags
-    let serviceExists = false;
-    let currentServiceTags = [];
-    try {
-      core.info('Checking if service exists...');
-      const describeCommand = new DescribeServicesCommand({
-        cluster: clusterName,
-        services: [serviceName],
-        include: ['TAGS']
-      });
-      
-      const describeResponse = await ecs.send(describeCommand);
-      
-      if (describeResponse.services && describeResponse.services.length > 0) {
-        const service = describeResponse.services[0];
-        if (service.status !== 'INACTIVE') {
-          serviceExists = true;
-          currentServiceTags = service.tags || [];
-          core.info(`Service exists with status: ${service.status}`);
-          core.debug(`Current service has ${currentServiceTags.length} tags`);
-        } else {
-          core.info('Service exists but is INACTIVE, will create new service');
-        }
-      } else {
-        core.info('Service does not exist, will create new service');
-      }
-    } catch (error) {
-      if (error.name === 'ServiceNotFoundException' || error.name === 'ClusterNotFoundException') {
-        core.info('Service or cluster not found, will create new service');
-        serviceExists = false;
-      } else {
-        throw error;
-      }
+    if (!(Number.isInteger(maxParallel) && maxParallel >= 1)) {
+      validationErrors.push(`max-parallel must be a positive integer, got "${maxParallel}"`);
     }
     
-    // Log the decision
-    if (serviceExists) {
-      core.info('Will UPDATE existing service');
-    } else {
-      core.info('Will CREATE new service');
+    validationErrors.push(...validateWaitOptions(waitOptions), ...validateGitHubDeploymentOptions(githubDeploymentOptions));
+    validationErrors.push(...validateRegions(regionWaves), ...validateAssumeRoleOptions(assumeRoleOptions), ...validateScanGateOptions(scanGateOptions));
+    validationErrors.push(...validatePreviewOptions(previewOptions));
+    if (explicitServiceArn && multipleRegions) {
+      validationErrors.push('service-arn cannot be used with regions');
+    }
+    if (explicitServiceArn && previewOptions.enabled) {
+      validationErrors.push('service-arn cannot be used with preview, the preview service name is derived from service-name');
     }
     
-    // Build SDK command input object
-    const serviceConfig = {
-      executionRoleArn: executionRoleArn,
-      infrastructureRoleArn: infrastructureRoleArn,
-      primaryContainer: {
-        image: image
+    const uniqueErrors = [...new Set(validationErrors)];
+    if (uniqueErrors.length > 0) {
+      for (const validationError of uniqueErrors) {
+        core.error(validationError, { title: 'Invalid input' });
       }
+      // Errors that list several problems are indented under their first line
+      throw new Error(`Input validation failed with ${uniqueErrors.length} error(s):\n${uniqueErrors.map(validationError => `  - ${validationError.replace(/\n/g, '\n  ')}`).join('\n')}`);
+    }
+    
+    // Resolve the deployment credentials and account, assuming role-to-assume when set
+    const identity = await resolveAwsIdentity(assumeRoleOptions, multipleRegions ? regionWaves[0][0] : undefined, !!explicitServiceArn);
+    
+    const options = {
+      action: action,
+      region: null,
+      accountId: identity.accountId,
+      partition: identity.partition,
+      credentials: identity.credentials,
+      serviceArn: explicitServiceArn || null,
+      // A drift check never deploys, so it runs as a dry run
+      dryRun: checkDrift || (!!dryRun && dryRun.toLowerCase() === 'true'),
+      checkDrift: checkDrift,
+      rollbackOnFailure: !!rollbackOnFailure && rollbackOnFailure.toLowerCase() === 'true',
+      tagManagement: !!enableTagManagement && enableTagManagement.toLowerCase() === 'true',
+      updateStrategy: updateStrategy,
+      forceNewDeployment: forceNewDeployment,
+      resolveImageDigest: !!resolveImageDigestInput && resolveImageDigestInput.toLowerCase() === 'true',
+      scanGateOptions: scanGateOptions,
+      waitOptions: waitOptions,
+      githubDeployment: null,
+      setOutputs: !multipleServices && !multipleRegions
     };
     
-    // Add optional container configuration
-    if (containerPort && containerPort.trim() !== '') {
-      serviceConfig.primaryContainer.containerPort = parseInt(containerPort, 10);
+    // Track the deployment in the GitHub environment timeline
+    if (githubDeploymentOptions.enabled && !options.dryRun && action === 'deploy') {
+      githubDeployment = await createGitHubDeployment(githubDeploymentOptions, serviceConfigs.map(serviceConfig => serviceConfig.serviceName).join(', '));
+      options.githubDeployment = githubDeployment;
     }
     
-    if (environmentVariables && environmentVariables.trim() !== '') {
-      try {
-        const envVars = JSON.parse(environmentVariables);
-        serviceConfig.primaryContainer.environment = envVars;
-      } catch (error) {
-        throw new Error(`Invalid environment-variables JSON: ${error.message}`);
+    try {
+      if (multipleRegions) {
+        await deployRegions(regionWaves, serviceConfigs, smokeTestOptionsList, options, maxParallel, results);
+      } else {
+        // Create ECS client with custom user agent
+        // Uses the assumed role credentials, or the default credential provider chain from environment (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN)
+        // Region is automatically detected from AWS_REGION or AWS_DEFAULT_REGION environment variables
+        const ecs = new ECSClient({
+          credentials: options.credentials,
+          // Requests are retried by sendWithRetry, so the SDK must not retry them as well
+          maxAttempts: 1,
+          customUserAgent: 'amazon-ecs-deploy-express-service-for-github-actions'
+        });
+        
+        core.debug('ECS client created successfully');
+        
+        // Get AWS region from ECS client config
+        options.region = await ecs.config.region();
+        core.debug(`AWS Region: ${options.region}`);
+        
+        await deployToRegion(ecs, serviceConfigs, smokeTestOptionsList, options, maxParallel, results);
       }
+    } finally {
+      setDeploymentOutputs(results, { dryRun: options.dryRun, checkDrift: options.checkDrift, multipleServices: multipleServices, multipleRegions: multipleRegions });
     }
     
-    if (secrets && secrets.trim() !== '') {
-      try {
-        const secretsArray = JSON.parse(secrets);
-        serviceConfig.primaryContainer.secrets = secretsArray;
-      } catch (error) {
-        throw new Error(`Invalid secrets JSON: ${error.message}`);
-      }
+    const driftedResults = results.filter(result => result.driftDetected);
+    if (driftedResults.length > 0) {
+      const driftedServices = driftedResults.map(result => multipleRegions ? `${result.region}/${result.serviceName}` : result.serviceName);
+      throw new Error(`Drift detected in ${driftedResults.length} of ${results.length} service(s): ${driftedServices.join(', ')}`);
     }
     
-    if (command && command.trim() !== '') {
-      try {
-        const commandArray = JSON.parse(command);
-        serviceConfig.primaryContainer.command = commandArray;
-      } catch (error) {
-        throw new Error(`Invalid command JSON: ${error.message}`);
-      }
+    if (previewOptions.enabled && previewOptions.pullRequest && previewOptions.comment && !options.dryRun) {
+      await commentOnPreviews(previewOptions, results, action);
     }
     
-    // Add optional logging configuration
-    if (logGroup && logGroup.trim() !== '' || logStreamPrefix && logStreamPrefix.trim() !== '') {
-      serviceConfig.primaryContainer.awsLogsConfiguration = {};
-      
-      if (logGroup && logGroup.trim() !== '') {
-        serviceConfig.primaryContainer.awsLogsConfiguration.logGroup = logGroup;
-      }
-      
-      if (logStreamPrefix && logStreamPrefix.trim() !== '') {
-        serviceConfig.primaryContainer.awsLogsConfiguration.logStreamPrefix = logStreamPrefix;
-      }
+    // Without waiting, the outcome of the deployment is not known, so it is left in progress
+    if (githubDeployment && !waitOptions.waitForDeployment) {
+      await updateGitHubDeploymentStatus(githubDeployment, 'in_progress', 'Deployment started, its completion was not watched (wait-for-deployment is false)');
+    } else if (githubDeployment) {
+      const endpoint = results.find(result => result.endpoint)?.endpoint;
+      await updateGitHubDeploymentStatus(githubDeployment, 'success', 'Deployment completed successfully', endpoint ? endpointUrl(endpoint) : undefined);
     }
     
-    // Add optional repository credentials
-    if (repositoryCredentials && repositoryCredentials.trim() !== '') {
-      serviceConfig.primaryContainer.repositoryCredentials = {
-        credentialsParameter: repositoryCredentials
-      };
+  } catch (error) {
+    core.setFailed(error.message);
+    core.debug(error.stack);
+    if (githubDeployment) {
+      await updateGitHubDeploymentStatus(githubDeployment, 'failure', error.message);
     }
-    
-    // Add optional resource configuration
-    if (cpu && cpu.trim() !== '') {
-      serviceConfig.cpu = cpu;
+  } finally {
+    for (const result of results) {
+      if (result.report) {
+        await writeDeploymentReport(result.report);
+      }
     }
-    
-    if (memory && memory.trim() !== '') {
-      serviceConfig.memory = memory;
+  }
+}
+
+/**
+ * Shorten a service revision ARN to its revision ID for log output
+ * @param {string} arn - The service revision ARN
+ * @returns {string} The last segment of the ARN
+ */
+function shortRevisionId(arn) {
+  return arn ? arn.substring(arn.lastIndexOf('/') + 1) : 'unknown';
+}
+
+/**
+ * Describe the task counts of a service revision
+ * @param {Object} revision - ServiceRevisionSummary from DescribeServiceDeployments
+ * @returns {string} Task counts, e.g. "2/4 running, 1 pending"
+ */
+function formatRevisionTasks(revision) {
+  const running = revision.runningTaskCount || 0;
+  const requested = revision.requestedTaskCount || 0;
+  const pending = revision.pendingTaskCount || 0;
+  return `${running}/${requested} running, ${pending} pending`;
+}
+
+/**
+ * Build a one-line progress report for a service deployment
+ * Includes the rollout percentage of the target revision, the remaining task counts of the
+ * source revisions, the lifecycle stage and any rollback or status reason.
+ * @param {Object} deployment - ServiceDeployment from DescribeServiceDeployments
+ * @returns {string} Progress line
+ */
+function formatDeploymentProgress(deployment) {
+  const parts = [];
+  const target = deployment.targetServiceRevision;
+  
+  if (target) {
+    const requested = target.requestedTaskCount || 0;
+    const rollout = requested > 0 ? Math.floor(((target.runningTaskCount || 0) / requested) * 100) : 0;
+    parts.push(`target ${shortRevisionId(target.arn)}: ${formatRevisionTasks(target)} (${rollout}% rolled out)`);
+  }
+  
+  for (const source of deployment.sourceServiceRevisions || []) {
+    parts.push(`source ${shortRevisionId(source.arn)}: ${formatRevisionTasks(source)}`);
+  }
+  
+  if (deployment.lifecycleStage) {
+    parts.push(`stage: ${deployment.lifecycleStage}`);
+  }
+  
+  if (deployment.rollback) {
+    parts.push(`rolling back to ${shortRevisionId(deployment.rollback.serviceRevisionArn)}: ${deployment.rollback.reason || 'no reason given'}`);
+  }
+  
+  if (deployment.statusReason) {
+    parts.push(`reason: ${deployment.statusReason}`);
+  }
+  
+  return `Progress: ${parts.length > 0 ? parts.join(' | ') : 'no task information yet'}`;
+}
+
+/**
+ * Log a structured summary of a finished service deployment in a collapsible group
+ * @param {Object} deployment - ServiceDeployment from DescribeServiceDeployments
+ */
+function logDeploymentSummary(deployment) {
+  core.startGroup('Deployment summary');
+  core.info(`Deployment: ${deployment.serviceDeploymentArn}`);
+  core.info(`Status: ${deployment.status}`);
+  
+  if (deployment.statusReason) {
+    core.info(`Status reason: ${deployment.statusReason}`);
+  }
+  
+  if (deployment.startedAt) {
+    const finishedAt = deployment.finishedAt || deployment.stoppedAt || new Date();
+    const durationSeconds = Math.round((new Date(finishedAt) - new Date(deployment.startedAt)) / 1000);
+    core.info(`Duration: ${durationSeconds}s`);
+  }
+  
+  if (deployment.targetServiceRevision) {
+    core.info(`Target revision: ${deployment.targetServiceRevision.arn} (${formatRevisionTasks(deployment.targetServiceRevision)})`);
+  }
+  
+  for (const source of deployment.sourceServiceRevisions || []) {
+    core.info(`Source revision: ${source.arn} (${formatRevisionTasks(source)})`);
+  }
+  
+  if (deployment.rollback) {
+    core.info(`Rollback: to ${deployment.rollback.serviceRevisionArn}, reason: ${deployment.rollback.reason || 'no reason given'}`);
+  }
+  
+  if (deployment.deploymentCircuitBreaker) {
+    const breaker = deployment.deploymentCircuitBreaker;
+    core.info(`Circuit breaker: ${breaker.status}, ${breaker.failureCount || 0}/${breaker.threshold || 0} failed tasks`);
+  }
+  
+  core.endGroup();
+}
+
+/**
+ * Build the names of the log streams written by the containers of tasks started since the deployment began
+ * The awslogs driver names streams prefix/container-name/task-id, so the streams of the new tasks
+ * can be named without reading the log streams of earlier revisions in the same log group.
+ * @param {ECSClient} ecs - The ECS client
+ * @param {string} cluster - The cluster of the service
+ * @param {string} serviceArn - The service ARN
+ * @param {Date} deploymentStartTime - Only tasks created after this time are included
+ * @param {string} logStreamPrefix - The awslogs stream prefix of the container
+ * @returns {Array} Log stream names, at most 100
+ */
+async function listDeploymentLogStreams(ecs, cluster, serviceArn, deploymentStartTime, logStreamPrefix) {
+  const maxLogStreams = 100;
+  let taskArns = [];
+  
+  // Tasks that failed to start have already stopped, so both running and stopped tasks are included
+  for (const desiredStatus of ['RUNNING', 'STOPPED']) {
+    const listTasksCommand = new ListTasksCommand({
+      cluster: cluster,
+      serviceName: serviceArn.substring(serviceArn.lastIndexOf('/') + 1),
+      desiredStatus: desiredStatus
+    });
+    const listResponse = await sendWithRetry(ecs, listTasksCommand);
+    taskArns = taskArns.concat(listResponse?.taskArns || []);
+  }
+  
+  if (taskArns.length === 0) {
+    return [];
+  }
+  
+  const describeTasksCommand = new DescribeTasksCommand({
+    cluster: cluster,
+    tasks: taskArns.slice(0, 100)
+  });
+  const describeResponse = await sendWithRetry(ecs, describeTasksCommand);
+  
+  return (describeResponse?.tasks || [])
+    .filter(task => !task.createdAt || new Date(task.createdAt) >= deploymentStartTime)
+    .flatMap(task => {
+      const taskId = task.taskArn.substring(task.taskArn.lastIndexOf('/') + 1);
+      return (task.containers || []).map(container => `${logStreamPrefix}/${container.name}/${taskId}`);
+    })
+    .slice(0, maxLogStreams);
+}
+
+/**
+ * Print container log events written since the last call in a collapsible group
+ * Events are read with FilterLogEvents from the awsLogsConfiguration of the service's active
+ * configuration, limited to the log streams of tasks started by the deployment. Only the most
+ * recent events are printed when more were written since the last call. Failures are logged as warnings.
+ * @param {ECSClient} ecs - The ECS client, also used to determine the region
+ * @param {Object} containerLogs - Tail state: CloudWatch Logs client, service ARN, deployment start time
+ *   and next event start time
+ * @param {Object} service - ECSExpressGatewayService from DescribeExpressGatewayService
+ */
+async function tailContainerLogs(ecs, containerLogs, service) {
+  const maxEvents = 100;
+  const maxPages = 10;
+  const logsConfiguration = service.activeConfigurations?.[0]?.primaryContainer?.awsLogsConfiguration;
+  
+  if (!logsConfiguration || !logsConfiguration.logGroup) {
+    core.debug('No awsLogsConfiguration found in the active configuration, skipping container logs');
+    return;
+  }
+  
+  if (!logsConfiguration.logStreamPrefix) {
+    core.debug('No log stream prefix found in the awsLogsConfiguration, unable to determine the log streams of the deployment');
+    return;
+  }
+  
+  try {
+    const logStreamNames = await listDeploymentLogStreams(
+      ecs, service.cluster || 'default', containerLogs.serviceArn, containerLogs.deploymentStartTime, logsConfiguration.logStreamPrefix
+    );
+    if (logStreamNames.length === 0) {
+      core.debug('No tasks have been started by the deployment yet, skipping container logs');
+      return;
     }
     
-    if (taskRoleArn && taskRoleArn.trim() !== '') {
-      serviceConfig.taskRoleArn = taskRoleArn;
+    if (!containerLogs.client) {
+      containerLogs.client = new CloudWatchLogsClient({
+        region: await ecs.config.region(),
+        credentials: ecs.config.credentials,
+        customUserAgent: 'amazon-ecs-deploy-express-service-for-github-actions'
+      });
     }
     
-    // Add optional networking configuration
-    if (subnets && subnets.trim() !== '') {
-      const subnetArray = subnets.split(',').map(s => s.trim()).filter(s => s !== '');
-      if (subnetArray.length > 0) {
-        serviceConfig.networkConfiguration = {
-          subnets: subnetArray
-        };
-        
-        if (securityGroups && securityGroups.trim() !== '') {
-          const sgArray = securityGroups.split(',').map(s => s.trim()).filter(s => s !== '');
-          if (sgArray.length > 0) {
-            serviceConfig.networkConfiguration.securityGroups = sgArray;
-          }
-        }
-      }
+    let events = [];
+    let nextToken;
+    let pages = 0;
+    do {
+      const filterCommand = new FilterLogEventsCommand({
+        logGroupName: logsConfiguration.logGroup,
+        logStreamNames: logStreamNames,
+        startTime: containerLogs.nextStartTime,
+        nextToken: nextToken
+      });
+      const response = await containerLogs.client.send(filterCommand);
+      events = events.concat(response?.events || []).slice(-maxEvents);
+      nextToken = response?.nextToken;
+      pages++;
+    } while (nextToken && pages < maxPages);
+    
+    if (events.length === 0) {
+      core.debug(`No new container log events in ${logsConfiguration.logGroup}`);
+      return;
     }
     
-    // Add service configuration
-    serviceConfig.serviceName = serviceName;
+    containerLogs.nextStartTime = events[events.length - 1].timestamp + 1;
     
-    if (clusterName && clusterName !== 'default') {
-      serviceConfig.cluster = clusterName;
+    core.startGroup(`Container logs from ${logsConfiguration.logGroup} (${events.length} events)`);
+    for (const event of events) {
+      core.info(`${new Date(event.timestamp).toISOString()} [${event.logStreamName}] ${(event.message || '').trimEnd()}`);
     }
+    core.endGroup();
+  } catch (error) {
+    core.warning(`Unable to read container logs from ${logsConfiguration.logGroup}: ${error.message}`);
+  }
+}
+
+/**
+ * Look up tasks of the service that stopped since the deployment started and describe why
+ * Each stopped task is also reported as an error annotation. Lookup failures are logged as
+ * warnings so they never mask the original deployment failure.
+ * @param {ECSClient} ecs - The ECS client
+ * @param {string} cluster - The cluster of the service
+ * @param {string} serviceArn - The service ARN
+ * @param {Date} deploymentStartTime - Only tasks stopped after this time are reported
+ * @returns {Array} Array of one-line descriptions of the stopped tasks
+ */
+async function describeStoppedTasks(ecs, cluster, serviceArn, deploymentStartTime) {
+  const maxStoppedTasks = 5;
+  
+  try {
+    const listTasksCommand = new ListTasksCommand({
+      cluster: cluster,
+      serviceName: serviceArn.substring(serviceArn.lastIndexOf('/') + 1),
+      desiredStatus: 'STOPPED'
+    });
+    const listResponse = await sendWithRetry(ecs, listTasksCommand);
+    const taskArns = listResponse?.taskArns || [];
     
-    if (healthCheckPath && healthCheckPath.trim() !== '') {
-      serviceConfig.healthCheckPath = healthCheckPath;
+    if (taskArns.length === 0) {
+      core.debug('No stopped tasks found for the service');
+      return [];
     }
     
-    // Process tags input
-    if (tags && tags.trim() !== '') {
-      try {
-        let parsedTags;
-        
-        // Try to parse as JSON first
-        if (tags.trim().startsWith('[')) {
-          parsedTags = parseTagsFromJSON(tags);
-        } else {
-          // Parse as multiline format
-          parsedTags = parseTagsFromMultiline(tags);
+    const describeTasksCommand = new DescribeTasksCommand({
+      cluster: cluster,
+      tasks: taskArns.slice(0, 100)
+    });
+    const describeResponse = await sendWithRetry(ecs, describeTasksCommand);
+    const stoppedTasks = (describeResponse?.tasks || [])
+      .filter(task => !task.stoppedAt || !deploymentStartTime || new Date(task.stoppedAt) >= deploymentStartTime)
+      .sort((a, b) => new Date(b.stoppedAt || 0) - new Date(a.stoppedAt || 0))
+      .slice(0, maxStoppedTasks);
+    
+    return stoppedTasks.map(task => {
+      const taskId = task.taskArn.substring(task.taskArn.lastIndexOf('/') + 1);
+      const containers = (task.containers || []).map(container => {
+        const details = [];
+        if (container.exitCode !== undefined && container.exitCode !== null) {
+          details.push(`exit code ${container.exitCode}`);
         }
-        
-        if (parsedTags.length > 0) {
-          serviceConfig.tags = parsedTags;
+        if (container.reason) {
+          details.push(container.reason);
         }
-      } catch (error) {
-        const errorMessage = `Tag parsing failed: ${error.message}`;
-        core.setFailed(errorMessage);
-        throw new Error(errorMessage);
-      }
-    }
-    
-    // Add optional scaling configuration
-    const hasScalingConfig = (minTaskCount && minTaskCount.trim() !== '') ||
-                             (maxTaskCount && maxTaskCount.trim() !== '') ||
-                             (autoScalingMetric && autoScalingMetric.trim() !== '') ||
-                             (autoScalingTargetValue && autoScalingTargetValue.trim() !== '');
-    
-    if (hasScalingConfig) {
-      serviceConfig.scalingTarget = {};
-      
-      if (minTaskCount && minTaskCount.trim() !== '') {
-        serviceConfig.scalingTarget.minTaskCount = parseInt(minTaskCount, 10);
-      }
-      
-      if (maxTaskCount && maxTaskCount.trim() !== '') {
-        serviceConfig.scalingTarget.maxTaskCount = parseInt(maxTaskCount, 10);
-      }
-      
-      if (autoScalingMetric && autoScalingMetric.trim() !== '') {
-        serviceConfig.scalingTarget.autoScalingMetric = autoScalingMetric;
-      }
+        if (container.healthStatus && container.healthStatus !== 'UNKNOWN') {
+          details.push(`health ${container.healthStatus}`);
+        }
+        return details.length > 0 ? `${container.name}: ${details.join(', ')}` : null;
+      }).filter(Boolean);
       
-      if (autoScalingTargetValue && autoScalingTargetValue.trim() !== '') {
-        serviceConfig.scalingTarget.autoScalingTargetValue = parseFloat(autoScalingTargetValue);
-      }
-    }
-    
-    // Create or update the service
-    let response;
-    let deploymentStartTime;
+      const description = `task ${taskId} stopped (${task.stoppedReason || task.stopCode || 'no reason given'})` +
+        (containers.length > 0 ? ` [${containers.join('; ')}]` : '');
+      core.error(description, { title: 'Stopped task' });
+      return description;
+    });
+  } catch (error) {
+    core.warning(`Unable to look up stopped tasks: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Wait until a deleted Express service is INACTIVE
+ * ECS releases the load balancer and other resources of the service while it is DRAINING.
+ * @param {ECSClient} ecs - The ECS client
+ * @param {string} serviceArn - The service ARN
+ * @param {Object} waitOptions - Wait behaviour from readWaitOptions (maxWaitMinutes, pollIntervalSeconds, failOnTimeout)
+ */
+async function waitForServiceInactive(ecs, serviceArn, waitOptions) {
+  const maxWaitMinutes = waitOptions.maxWaitMinutes || DEFAULT_WAIT_OPTIONS.maxWaitMinutes;
+  const pollIntervalSeconds = waitOptions.pollIntervalSeconds || DEFAULT_WAIT_OPTIONS.pollIntervalSeconds;
+  const startTime = Date.now();
+  let consecutiveErrors = 0;
+  
+  core.info('Waiting for the service to become INACTIVE...');
+  
+  while (true) {
+    let statusCode;
     try {
-      if (serviceExists && serviceArn) {
-        // Update existing service
-        core.info('Updating Express Gateway service...');
-        // Capture timestamp right before making the API call
-        deploymentStartTime = new Date();
-        const updateCommand = new UpdateExpressGatewayServiceCommand({
-          serviceArn: serviceArn,
-          ...serviceConfig
-        });
-        // Handle tags for existing service before update
-        // Note: UpdateExpressGatewayServiceCommand doesn't support tags parameter
-        if (enableTagManagement && enableTagManagement.toLowerCase() === 'true') {
-          const desiredTags = serviceConfig.tags || [];
-          await handleTagsOnUpdate(ecs, serviceArn, currentServiceTags, desiredTags);
-        }
-        
-        response = await ecs.send(updateCommand);
-        core.info('Service updated successfully');
-      } else {
-        // Create new service
-        core.info('Creating Express Gateway service...');
-        // Capture timestamp right before making the API call
-        deploymentStartTime = new Date();
-        const createCommand = new CreateExpressGatewayServiceCommand(serviceConfig);
-        response = await ecs.send(createCommand);
-        core.info('Service created successfully');
-        
-        // Log successful tag application for service creation
-        // Note: Tags are only applied during service creation, not during updates
-        if (serviceConfig.tags && serviceConfig.tags.length > 0) {
-          core.debug(`Tags successfully included in service creation`);
-        }
-      }
+      const response = await sendWithRetry(ecs, new DescribeExpressGatewayServiceCommand({ serviceArn: serviceArn }));
+      statusCode = response.service?.status?.statusCode;
+      consecutiveErrors = 0;
     } catch (error) {
-      // Handle AWS SDK errors with helpful messages
-      if (error.name === 'AccessDeniedException') {
-        throw new Error(`Access denied: ${error.message}. Please check that the IAM roles have the necessary permissions for ECS Express Mode operations.`);
-      } else if (error.name === 'InvalidParameterException') {
-        throw new Error(`Invalid parameter: ${error.message}. Please check your input values.`);
-      } else if (error.name === 'ClusterNotFoundException') {
-        throw new Error(`Cluster not found: ${clusterName}. Please check the cluster name and region.`);
+      if (error.name === 'ServiceNotFoundException') {
+        statusCode = 'INACTIVE';
+      } else if (++consecutiveErrors >= MAX_CONSECUTIVE_POLL_ERRORS) {
+        throw new Error(`Unable to check the service status after ${consecutiveErrors} consecutive errors: ${error.message}`, { cause: error });
       } else {
-        throw error;
+        core.warning(`Error checking status (${consecutiveErrors}/${MAX_CONSECUTIVE_POLL_ERRORS}): ${error.message}`);
       }
     }
     
-    core.debug(`Service response: ${JSON.stringify(response, null, 2)}`);
-    
-    // Get the service ARN from response
-    const finalServiceArn = response?.service?.serviceArn || serviceArn;
-    
-    // Set service ARN output
-    if (finalServiceArn) {
-      core.setOutput('service-arn', finalServiceArn);
-      core.info(`Service ARN: ${finalServiceArn}`);
+    if (statusCode === 'INACTIVE') {
+      core.info('Service is INACTIVE and its resources have been released');
+      return;
+    }
+    if (statusCode) {
+      core.info(`Service status: ${statusCode}. Will re-poll in ${pollIntervalSeconds} seconds...`);
     }
     
-    // Wait for deployment to complete
-    await waitForServiceStable(ecs, finalServiceArn, deploymentStartTime);
+    if (Date.now() - startTime > maxWaitMinutes * 60 * 1000) {
+      if (waitOptions.failOnTimeout) {
+        throw new Error(`Service deletion did not complete within ${maxWaitMinutes} minutes`);
+      }
+      core.warning(`Service deletion is taking longer than ${maxWaitMinutes} minutes. The deletion will continue in the background.`);
+      return;
+    }
     
-  } catch (error) {
-    core.setFailed(error.message);
-    core.debug(error.stack);
+    await new Promise(resolve => setTimeout(resolve, pollIntervalSeconds * 1000));
   }
 }
 
@@ -517,21 +3697,35 @@ async function run() {
  * @param {ECSClient} ecs - The ECS client
  * @param {string} serviceArn - The service ARN
  * @param {Date} deploymentStartTime - Timestamp when the deployment was initiated
+ * @param {Object} waitOptions - Wait behaviour from readWaitOptions (maxWaitMinutes, pollIntervalSeconds, failOnTimeout)
+ * @param {Object} report - Deployment report, updated with the latest deployment, the endpoint and whether the wait
+ *   timed out; progress is posted to its GitHub deployment, if any
+ * @returns {string|undefined} The service endpoint once the deployment succeeded, if one is reported
  */
-async function waitForServiceStable(ecs, serviceArn, deploymentStartTime) {
+async function waitForServiceStable(ecs, serviceArn, deploymentStartTime, waitOptions = {}, report = {}) {
   core.info('Waiting for service deployment to complete...');
-  const maxWaitMinutes = 15;
-  const pollIntervalSeconds = 15;
+  const maxWaitMinutes = waitOptions.maxWaitMinutes || DEFAULT_WAIT_OPTIONS.maxWaitMinutes;
+  const pollIntervalSeconds = waitOptions.pollIntervalSeconds || DEFAULT_WAIT_OPTIONS.pollIntervalSeconds;
   const maxWaitMs = maxWaitMinutes * 60 * 1000;
   const startTime = Date.now();
   
   let serviceActive = false;
   let deploymentArn = null;
+  let consecutiveErrors = 0;
+  
+  // Container logs are read from the deployment start onwards and tailed incrementally
+  const containerLogs = waitOptions.containerLogs === 'true' || waitOptions.containerLogs === 'on-failure'
+    ? { client: null, serviceArn: serviceArn, deploymentStartTime: deploymentStartTime, nextStartTime: deploymentStartTime.getTime() }
+    : null;
   
   while (true) {
     // Check timeout
     if (Date.now() - startTime > maxWaitMs) {
+      if (waitOptions.failOnTimeout) {
+        throw new Error(`Deployment did not complete within ${maxWaitMinutes} minutes`);
+      }
       core.warning(`Deployment is taking longer than ${maxWaitMinutes} minutes. The deployment will continue in the background.`);
+      report.timedOut = true;
       break;
     }
     
@@ -540,7 +3734,7 @@ async function waitForServiceStable(ecs, serviceArn, deploymentStartTime) {
       const describeServiceCommand = new DescribeExpressGatewayServiceCommand({
         serviceArn: serviceArn
       });
-      const serviceResponse = await ecs.send(describeServiceCommand);
+      const serviceResponse = await sendWithRetry(ecs, describeServiceCommand);
       
       if (serviceResponse.service) {
         const service = serviceResponse.service;
@@ -553,7 +3747,7 @@ async function waitForServiceStable(ecs, serviceArn, deploymentStartTime) {
         
         // Check for failure states
         if (statusCode === 'INACTIVE' || statusCode === 'DRAINING') {
-          throw new Error(`Service entered ${statusCode} state`);
+          throw new ServiceStateError({ arn: serviceArn, status: statusCode, reason: service.status?.statusReason });
         }
         
         // Check if service is ACTIVE
@@ -575,7 +3769,7 @@ async function waitForServiceStable(ecs, serviceArn, deploymentStartTime) {
                   after: deploymentStartTime
                 }
               });
-              const listResponse = await ecs.send(listDeploymentsCommand);
+              const listResponse = await sendWithRetry(ecs, listDeploymentsCommand);
               
               // Log the full response for debugging
               core.debug(`ListServiceDeployments response: ${JSON.stringify(listResponse, null, 2)}`);
@@ -592,7 +3786,8 @@ async function waitForServiceStable(ecs, serviceArn, deploymentStartTime) {
                 core.debug('No deployments found yet, will retry...');
               }
             } catch (listError) {
-              core.warning(`ListServiceDeployments error: ${listError.message}. Service ARN: ${serviceArn}`);
+              // Counted against the error budget like any other failed status check
+              throw new Error(`ListServiceDeployments error: ${listError.message}. Service ARN: ${serviceArn}`, { cause: listError });
             }
           }
           
@@ -601,21 +3796,42 @@ async function waitForServiceStable(ecs, serviceArn, deploymentStartTime) {
             const describeDeploymentCommand = new DescribeServiceDeploymentsCommand({
               serviceDeploymentArns: [deploymentArn]
             });
-            const deploymentResponse = await ecs.send(describeDeploymentCommand);
+            const deploymentResponse = await sendWithRetry(ecs, describeDeploymentCommand);
             
             if (deploymentResponse.serviceDeployments && deploymentResponse.serviceDeployments.length > 0) {
               const deployment = deploymentResponse.serviceDeployments[0];
               const deploymentStatus = deployment.status;
+              report.deployment = deployment;
               
               core.info(`Deployment ${deploymentArn} status: ${deploymentStatus}. Will re-poll in ${pollIntervalSeconds} seconds...`);
+              const progress = formatDeploymentProgress(deployment);
+              core.info(progress);
+              
+              if (report.githubDeployment && deploymentStatus !== 'SUCCESSFUL') {
+                await updateGitHubDeploymentStatus(report.githubDeployment, 'in_progress', progress);
+              }
+              
+              if (containerLogs && waitOptions.containerLogs === 'true') {
+                await tailContainerLogs(ecs, containerLogs, service);
+              }
               
               // Check for deployment failure
-              if (deploymentStatus === 'FAILED' || deploymentStatus === 'STOPPED') {
-                throw new Error(`Deployment ${deploymentArn} ${deploymentStatus}`);
+              if (FAILED_DEPLOYMENT_STATUSES.includes(deploymentStatus)) {
+                logDeploymentSummary(deployment);
+                if (containerLogs) {
+                  await tailContainerLogs(ecs, containerLogs, service);
+                }
+                throw new DeploymentFailedError({
+                  arn: deploymentArn,
+                  status: deploymentStatus,
+                  reason: deployment.statusReason,
+                  stoppedTasks: await describeStoppedTasks(ecs, service.cluster || 'default', serviceArn, deploymentStartTime)
+                });
               }
               
               // Deployment is complete when status is SUCCESSFUL
               if (deploymentStatus === 'SUCCESSFUL') {
+                logDeploymentSummary(deployment);
                 core.info('Deployment completed successfully');
                 
                 // Extract endpoint from active configurations
@@ -625,8 +3841,9 @@ async function waitForServiceStable(ecs, serviceArn, deploymentStartTime) {
                     service.activeConfigurations[0].ingressPaths.length > 0) {
                   const endpoint = service.activeConfigurations[0].ingressPaths[0].endpoint;
                   if (endpoint) {
-                    core.setOutput('endpoint', endpoint);
                     core.info(`Service endpoint: ${endpoint}`);
+                    report.endpoint = endpoint;
+                    return endpoint;
                   }
                 }
                 return;
@@ -635,12 +3852,17 @@ async function waitForServiceStable(ecs, serviceArn, deploymentStartTime) {
           }
         }
       }
+      consecutiveErrors = 0;
     } catch (error) {
-      // Only warn on transient errors, throw on actual failures
-      if (error.message.includes('entered') || error.message.includes('FAILED') || error.message.includes('STOPPED')) {
+      // Terminal outcomes end the wait, other errors are retried until the error budget is used up
+      if (error instanceof TerminalDeploymentError) {
         throw error;
       }
-      core.warning(`Error checking status: ${error.message}`);
+      consecutiveErrors++;
+      if (consecutiveErrors >= MAX_CONSECUTIVE_POLL_ERRORS) {
+        throw new Error(`Unable to check the deployment status after ${consecutiveErrors} consecutive errors: ${error.message}`, { cause: error });
+      }
+      core.warning(`Error checking status (${consecutiveErrors}/${MAX_CONSECUTIVE_POLL_ERRORS}): ${error.message}`);
     }
     
     // Wait before next poll
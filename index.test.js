@@ -1,13 +1,41 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { URL } = require('url');
 const run = require('./index');
 const core = require('@actions/core');
-const { ECSClient } = require('@aws-sdk/client-ecs');
+const {
+  ECSClient,
+  DescribeServicesCommand,
+  ListServicesCommand,
+  DescribeExpressGatewayServiceCommand,
+  ListServiceDeploymentsCommand,
+  CreateExpressGatewayServiceCommand,
+  UpdateExpressGatewayServiceCommand,
+  UpdateServiceCommand,
+  DeleteExpressGatewayServiceCommand,
+  ListTasksCommand,
+  DescribeTasksCommand
+} = require('@aws-sdk/client-ecs');
+const { CloudWatchLogsClient, FilterLogEventsCommand } = require('@aws-sdk/client-cloudwatch-logs');
+const { ECRClient, DescribeImagesCommand, DescribeImageScanFindingsCommand } = require('@aws-sdk/client-ecr');
+const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const { fromTemporaryCredentials } = require('@aws-sdk/credential-providers');
 
 jest.mock('@actions/core');
 jest.mock('@aws-sdk/client-ecs');
+jest.mock('@aws-sdk/client-cloudwatch-logs');
+jest.mock('@aws-sdk/client-ecr');
+jest.mock('@aws-sdk/client-sts');
+jest.mock('@aws-sdk/credential-providers');
 
 describe('Amazon ECS Deploy Express Service', () => {
   let mockSend;
   let mockRegion;
+  let mockLogsSend;
+  let mockStsSend;
+  let mockEcrSend;
 
   beforeEach(() => {
     jest.clearAllMocks();
@@ -22,6 +50,30 @@ describe('Amazon ECS Deploy Express Service', () => {
         region: mockRegion
       }
     }));
+    
+    // Mock CloudWatch Logs client
+    mockLogsSend = jest.fn();
+    CloudWatchLogsClient.mockImplementation(() => ({
+      send: mockLogsSend
+    }));
+    
+    // Mock STS client
+    mockStsSend = jest.fn().mockResolvedValue({ Account: '123456789012' });
+    STSClient.mockImplementation(() => ({
+      send: mockStsSend
+    }));
+    
+    // Mock ECR client
+    mockEcrSend = jest.fn();
+    ECRClient.mockImplementation(() => ({
+      send: mockEcrSend
+    }));
+    
+    // Make the job summary builder chainable
+    for (const method of ['addHeading', 'addRaw', 'addCodeBlock', 'addTable', 'addList', 'addLink', 'addEOL', 'addBreak', 'addDetails', 'addSeparator', 'addQuote']) {
+      core.summary[method].mockReturnValue(core.summary);
+    }
+    core.summary.write.mockResolvedValue(core.summary);
   });
 
   // Helper function to mock successful deployment monitoring
@@ -135,18 +187,21 @@ describe('Amazon ECS Deploy Express Service', () => {
     });
   });
 
-  describe('Service ARN construction', () => {
-    test('constructs ARN with provided cluster', async () => {
+  describe('Service ARN resolution', () => {
+    const mockInputs = (inputs) => {
       core.getInput.mockImplementation((name) => {
         if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
         if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
         if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
-        if (name === 'service-name') return 'my-service';
-        if (name === 'cluster') return 'production';
-        return '';
+        return inputs[name] || '';
       });
+    };
 
-      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/production/my-service';
+    test('uses the ARN returned by DescribeServices', async () => {
+      mockInputs({ 'service-name': 'my-service', 'cluster': 'production' });
+
+      // The execution role lives in another account than the service
+      const serviceArn = 'arn:aws:ecs:us-east-1:210987654321:service/production/my-service';
       const deploymentMocks = mockSuccessfulDeployment(serviceArn, 'production');
       
       mockSend
@@ -156,6 +211,9 @@ describe('Amazon ECS Deploy Express Service', () => {
             status: 'ACTIVE'
           }]
         })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: { serviceArn: serviceArn }
+        })
         .mockResolvedValueOnce({ // UpdateExpressGatewayService
           service: { serviceArn: serviceArn }
         })
@@ -165,38 +223,109 @@ describe('Amazon ECS Deploy Express Service', () => {
 
       await run();
 
-      expect(core.info).toHaveBeenCalledWith('Constructed service ARN: arn:aws:ecs:us-east-1:123456789012:service/production/my-service');
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(DescribeServicesCommand).toHaveBeenCalledWith(expect.objectContaining({ cluster: 'production', services: ['my-service'] }));
+      expect(core.info).toHaveBeenCalledWith(`Found service ARN: ${serviceArn}`);
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledWith(expect.objectContaining({ serviceArn: serviceArn }));
     });
 
-    test('constructs ARN with default cluster', async () => {
-      core.getInput.mockImplementation((name) => {
-        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
-        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
-        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
-        if (name === 'service-name') return 'my-service';
-        return '';
-      });
+    test('uses the service-arn input in other partitions', async () => {
+      const serviceArn = 'arn:aws-us-gov:ecs:us-gov-west-1:123456789012:service/production/my-service';
+      mockInputs({ 'service-arn': serviceArn });
+      mockRegion.mockResolvedValue('us-gov-west-1');
+      mockStsSend.mockResolvedValue({ Account: '123456789012', Arn: 'arn:aws-us-gov:sts::123456789012:assumed-role/deploy/session' });
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn, 'production');
+
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // DescribeExpressGatewayService - live configuration
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // UpdateExpressGatewayService
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith(`Using service ARN: ${serviceArn}`);
+      expect(DescribeServicesCommand).toHaveBeenCalledWith(expect.objectContaining({ cluster: 'production', services: [serviceArn] }));
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledWith(expect.objectContaining({
+        serviceArn: serviceArn,
+        serviceName: 'my-service',
+        cluster: 'production'
+      }));
+      expect(core.setOutput).toHaveBeenCalledWith('service-arn', serviceArn);
+    });
 
+    test('looks up the ARN when the create response does not include it', async () => {
+      mockInputs({ 'service-name': 'my-service' });
       const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
       const deploymentMocks = mockSuccessfulDeployment(serviceArn);
-      
+
       mockSend
-        .mockResolvedValueOnce({ // DescribeServices
-          services: [{
-            serviceArn: serviceArn,
-            status: 'ACTIVE'
-          }]
-        })
-        .mockResolvedValueOnce({ // UpdateExpressGatewayService
-          service: { serviceArn: serviceArn }
-        })
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: {} }) // CreateExpressGatewayService
+        .mockResolvedValueOnce({ services: [], failures: [{ reason: 'MISSING' }] }) // DescribeServices - lookup
+        .mockResolvedValueOnce({ serviceArns: ['arn:aws:ecs:us-east-1:123456789012:service/default/other'], nextToken: 'page-2' })
+        .mockResolvedValueOnce({ serviceArns: [serviceArn] })
         .mockResolvedValueOnce(deploymentMocks[0])
         .mockResolvedValueOnce(deploymentMocks[1])
         .mockResolvedValueOnce(deploymentMocks[2]);
 
       await run();
 
-      expect(core.info).toHaveBeenCalledWith('Constructed service ARN: arn:aws:ecs:us-east-1:123456789012:service/default/my-service');
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(ListServicesCommand).toHaveBeenCalledWith({ cluster: 'default', nextToken: 'page-2' });
+      expect(core.setOutput).toHaveBeenCalledWith('service-arn', serviceArn);
+      expect(DescribeExpressGatewayServiceCommand).toHaveBeenCalledWith({ serviceArn: serviceArn });
+    });
+
+    test('fails when the service ARN cannot be found', async () => {
+      mockInputs({ 'service-name': 'my-service' });
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: {} }) // CreateExpressGatewayService
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ serviceArns: [] });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Unable to determine the ARN of service my-service in cluster default');
+    });
+
+    test('rejects a service-arn that does not match the deployment', async () => {
+      mockInputs({ 'service-arn': 'arn:aws:ecs:eu-west-1:123456789012:service/default/my-service' });
+
+      await run();
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith('service-arn is in region eu-west-1, but the deployment region is us-east-1');
+
+      jest.clearAllMocks();
+      mockInputs({ 'service-arn': 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service', 'service-name': 'other-service' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('service-name "other-service" does not match service-arn, which names service "my-service"');
+
+      jest.clearAllMocks();
+      mockInputs({ 'service-arn': 'arn:aws:ecs:us-east-1:123456789012:service/my-service' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'service-arn must be an ECS service ARN (arn:aws:ecs:REGION:ACCOUNT-ID:service/CLUSTER/NAME), got "arn:aws:ecs:us-east-1:123456789012:service/my-service"'
+      );
+
+      jest.clearAllMocks();
+      mockInputs({ 'service-arn': 'arn:aws:ecs:us-east-1:210987654321:service/default/my-service' });
+
+      await run();
+
+      expect(GetCallerIdentityCommand).toHaveBeenCalledTimes(1);
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith('service-arn belongs to account 210987654321, but the credentials are for account 123456789012');
     });
   });
 
@@ -221,6 +350,9 @@ describe('Amazon ECS Deploy Express Service', () => {
             status: 'ACTIVE'
           }]
         })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: { serviceArn: serviceArn }
+        })
         .mockResolvedValueOnce({ // UpdateExpressGatewayService
           service: { serviceArn: serviceArn }
         })
@@ -652,6 +784,330 @@ describe('Amazon ECS Deploy Express Service', () => {
       expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('FAILED'));
     });
 
+    test('reports task counts and rollout progress on each poll', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        return '';
+      });
+
+      jest.useFakeTimers();
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+      const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/default/test-service/abc123';
+      const activeService = {
+        service: { serviceArn: serviceArn, status: { statusCode: 'ACTIVE' }, cluster: 'default' }
+      };
+      const targetRevision = 'arn:aws:ecs:us-east-1:123456789012:service-revision/default/test-service/222';
+      const sourceRevision = 'arn:aws:ecs:us-east-1:123456789012:service-revision/default/test-service/111';
+
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // DescribeExpressGatewayService - live configuration
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(activeService)
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+        .mockResolvedValueOnce({
+          serviceDeployments: [{
+            serviceDeploymentArn: deploymentArn,
+            status: 'IN_PROGRESS',
+            lifecycleStage: 'SCALE_UP',
+            targetServiceRevision: { arn: targetRevision, requestedTaskCount: 4, runningTaskCount: 1, pendingTaskCount: 3 },
+            sourceServiceRevisions: [{ arn: sourceRevision, requestedTaskCount: 4, runningTaskCount: 4, pendingTaskCount: 0 }]
+          }]
+        })
+        .mockResolvedValueOnce(activeService)
+        .mockResolvedValueOnce({
+          serviceDeployments: [{
+            serviceDeploymentArn: deploymentArn,
+            status: 'SUCCESSFUL',
+            startedAt: new Date('2026-01-01T00:00:00Z'),
+            finishedAt: new Date('2026-01-01T00:03:20Z'),
+            targetServiceRevision: { arn: targetRevision, requestedTaskCount: 4, runningTaskCount: 4, pendingTaskCount: 0 },
+            sourceServiceRevisions: [{ arn: sourceRevision, requestedTaskCount: 0, runningTaskCount: 0, pendingTaskCount: 0 }]
+          }]
+        });
+
+      const runPromise = run();
+      await jest.advanceTimersByTimeAsync(15000);
+      await runPromise;
+
+      expect(core.info).toHaveBeenCalledWith(
+        'Progress: target 222: 1/4 running, 3 pending (25% rolled out) | source 111: 4/4 running, 0 pending | stage: SCALE_UP'
+      );
+      expect(core.info).toHaveBeenCalledWith(
+        'Progress: target 222: 4/4 running, 0 pending (100% rolled out) | source 111: 0/0 running, 0 pending'
+      );
+      expect(core.startGroup).toHaveBeenCalledWith('Deployment summary');
+      expect(core.info).toHaveBeenCalledWith('Status: SUCCESSFUL');
+      expect(core.info).toHaveBeenCalledWith('Duration: 200s');
+      expect(core.info).toHaveBeenCalledWith(`Target revision: ${targetRevision} (4/4 running, 0 pending)`);
+
+      jest.useRealTimers();
+    });
+
+    test('includes rollback details and status reason in the deployment summary', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+      const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/default/test-service/abc123';
+      const sourceRevision = 'arn:aws:ecs:us-east-1:123456789012:service-revision/default/test-service/111';
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce({
+          service: { serviceArn: serviceArn, status: { statusCode: 'ACTIVE' }, cluster: 'default' }
+        })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+        .mockResolvedValueOnce({
+          serviceDeployments: [{
+            serviceDeploymentArn: deploymentArn,
+            status: 'STOPPED',
+            statusReason: 'Circuit breaker triggered',
+            rollback: { serviceRevisionArn: sourceRevision, reason: 'Tasks failed to start' },
+            deploymentCircuitBreaker: { status: 'TRIGGERED', failureCount: 3, threshold: 3 }
+          }]
+        });
+
+      await run();
+
+      expect(core.info).toHaveBeenCalledWith(
+        'Progress: rolling back to 111: Tasks failed to start | reason: Circuit breaker triggered'
+      );
+      expect(core.info).toHaveBeenCalledWith('Status reason: Circuit breaker triggered');
+      expect(core.info).toHaveBeenCalledWith(`Rollback: to ${sourceRevision}, reason: Tasks failed to start`);
+      expect(core.info).toHaveBeenCalledWith('Circuit breaker: TRIGGERED, 3/3 failed tasks');
+      expect(core.setFailed).toHaveBeenCalledWith(`Deployment ${deploymentArn} STOPPED`);
+    });
+
+    test('reports stopped task reasons and exit codes when deployment fails', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        if (name === 'cluster') return 'production';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/production/test-service';
+      const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/production/test-service/abc123';
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce({
+          service: { serviceArn: serviceArn, status: { statusCode: 'ACTIVE' }, cluster: 'production' }
+        })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+        .mockResolvedValueOnce({
+          serviceDeployments: [{ serviceDeploymentArn: deploymentArn, status: 'FAILED' }]
+        })
+        .mockResolvedValueOnce({ // ListTasks
+          taskArns: [
+            'arn:aws:ecs:us-east-1:123456789012:task/production/task1',
+            'arn:aws:ecs:us-east-1:123456789012:task/production/task0'
+          ]
+        })
+        .mockResolvedValueOnce({ // DescribeTasks
+          tasks: [
+            {
+              taskArn: 'arn:aws:ecs:us-east-1:123456789012:task/production/task1',
+              stoppedReason: 'Essential container in task exited',
+              stoppedAt: new Date(Date.now() + 60000),
+              containers: [{
+                name: 'main',
+                exitCode: 137,
+                reason: 'OutOfMemoryError: Container killed due to memory usage',
+                healthStatus: 'UNHEALTHY'
+              }]
+            },
+            { // Stopped before this deployment started
+              taskArn: 'arn:aws:ecs:us-east-1:123456789012:task/production/task0',
+              stoppedReason: 'Scaling activity initiated by deployment',
+              stoppedAt: new Date('2020-01-01T00:00:00Z'),
+              containers: [{ name: 'main', exitCode: 0 }]
+            }
+          ]
+        });
+
+      await run();
+
+      const taskDescription = 'task task1 stopped (Essential container in task exited) ' +
+        '[main: exit code 137, OutOfMemoryError: Container killed due to memory usage, health UNHEALTHY]';
+      expect(ListTasksCommand).toHaveBeenCalledWith({
+        cluster: 'production',
+        serviceName: 'test-service',
+        desiredStatus: 'STOPPED'
+      });
+      expect(core.error).toHaveBeenCalledWith(taskDescription, { title: 'Stopped task' });
+      expect(core.error).toHaveBeenCalledTimes(1);
+      expect(core.setFailed).toHaveBeenCalledWith(`Deployment ${deploymentArn} FAILED: ${taskDescription}`);
+    });
+
+    describe('Container logs', () => {
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+      const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/default/test-service/abc123';
+      const activeService = {
+        serviceArn: serviceArn,
+        status: { statusCode: 'ACTIVE' },
+        cluster: 'default',
+        activeConfigurations: [{
+          primaryContainer: {
+            image: 'nginx:latest',
+            awsLogsConfiguration: { logGroup: '/aws/ecs/default/test-service', logStreamPrefix: 'ecs' }
+          }
+        }]
+      };
+
+      const mockInputs = (showContainerLogs) => {
+        core.getInput.mockImplementation((name) => {
+          if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+          if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+          if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+          if (name === 'service-name') return 'test-service';
+          if (name === 'show-container-logs') return showContainerLogs;
+          return '';
+        });
+      };
+
+      const isCommand = (Command, command) => Command.mock.instances.includes(command);
+      const newTaskArn = 'arn:aws:ecs:us-east-1:123456789012:task/default/task1';
+      const oldTaskArn = 'arn:aws:ecs:us-east-1:123456789012:task/default/task0';
+
+      // The new task is running; the task of the previous revision was created before the deployment
+      const mockDeployment = (status) => {
+        mockSend
+          .mockResolvedValueOnce({ services: [] })
+          .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+          .mockResolvedValueOnce({ service: activeService })
+          .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+          .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn, status: status }] })
+          .mockImplementation(async (command) => {
+            if (isCommand(ListTasksCommand, command)) {
+              return { taskArns: ListTasksCommand.mock.calls.at(-1)[0].desiredStatus === 'RUNNING' ? [oldTaskArn, newTaskArn] : [] };
+            }
+            if (isCommand(DescribeTasksCommand, command)) {
+              return {
+                tasks: [
+                  { taskArn: oldTaskArn, createdAt: new Date('2020-01-01T00:00:00Z'), containers: [{ name: 'main' }] },
+                  { taskArn: newTaskArn, createdAt: new Date(Date.now() + 60000), containers: [{ name: 'main' }] }
+                ]
+              };
+            }
+            return {};
+          });
+      };
+
+      test('prints container logs when the deployment fails with on-failure', async () => {
+        mockInputs('on-failure');
+        mockDeployment('FAILED');
+        mockLogsSend
+          .mockResolvedValueOnce({
+            events: [{ timestamp: Date.parse('2025-01-01T00:00:00Z'), logStreamName: 'ecs/main/task1', message: 'Starting server\n' }],
+            nextToken: 'page2'
+          })
+          .mockResolvedValueOnce({
+            events: [{ timestamp: Date.parse('2025-01-01T00:00:01Z'), logStreamName: 'ecs/main/task1', message: 'Error: port in use' }]
+          });
+
+        await run();
+
+        expect(CloudWatchLogsClient).toHaveBeenCalledWith(expect.objectContaining({ region: 'us-east-1' }));
+        expect(FilterLogEventsCommand).toHaveBeenCalledTimes(2);
+        expect(ListTasksCommand).toHaveBeenCalledWith({ cluster: 'default', serviceName: 'test-service', desiredStatus: 'RUNNING' });
+        expect(ListTasksCommand).toHaveBeenCalledWith({ cluster: 'default', serviceName: 'test-service', desiredStatus: 'STOPPED' });
+        expect(FilterLogEventsCommand.mock.calls[0][0]).toEqual(expect.objectContaining({
+          logGroupName: '/aws/ecs/default/test-service',
+          logStreamNames: ['ecs/main/task1']
+        }));
+        expect(FilterLogEventsCommand.mock.calls[0][0].logStreamNamePrefix).toBeUndefined();
+        expect(FilterLogEventsCommand.mock.calls[1][0].nextToken).toBe('page2');
+        expect(core.startGroup).toHaveBeenCalledWith('Container logs from /aws/ecs/default/test-service (2 events)');
+        expect(core.info).toHaveBeenCalledWith('2025-01-01T00:00:00.000Z [ecs/main/task1] Starting server');
+        expect(core.info).toHaveBeenCalledWith('2025-01-01T00:00:01.000Z [ecs/main/task1] Error: port in use');
+        expect(core.setFailed).toHaveBeenCalledWith(`Deployment ${deploymentArn} FAILED`);
+      });
+
+      test('does not read container logs on success with on-failure', async () => {
+        mockInputs('on-failure');
+        mockSend
+          .mockResolvedValueOnce({ services: [] })
+          .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+          .mockResolvedValueOnce({ service: activeService })
+          .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+          .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn, status: 'SUCCESSFUL' }] });
+
+        await run();
+
+        expect(mockLogsSend).not.toHaveBeenCalled();
+        expect(core.setFailed).not.toHaveBeenCalled();
+      });
+
+      test('does not read container logs before the deployment has started a task', async () => {
+        mockInputs('on-failure');
+        mockDeployment('FAILED');
+        mockSend.mockImplementation(async (command) => {
+          if (isCommand(DescribeTasksCommand, command)) {
+            return { tasks: [{ taskArn: oldTaskArn, createdAt: new Date('2020-01-01T00:00:00Z'), containers: [{ name: 'main' }] }] };
+          }
+          return { taskArns: ListTasksCommand.mock.calls.at(-1)[0].desiredStatus === 'RUNNING' ? [oldTaskArn] : [] };
+        });
+
+        await run();
+
+        expect(mockLogsSend).not.toHaveBeenCalled();
+        expect(core.debug).toHaveBeenCalledWith('No tasks have been started by the deployment yet, skipping container logs');
+      });
+
+      test('tails container logs while polling when enabled', async () => {
+        mockInputs('true');
+        mockDeployment('SUCCESSFUL');
+        mockLogsSend.mockResolvedValueOnce({
+          events: [{ timestamp: Date.parse('2025-01-01T00:00:00Z'), logStreamName: 'ecs/main/task1', message: 'Listening on 80' }]
+        });
+
+        await run();
+
+        expect(mockLogsSend).toHaveBeenCalledTimes(1);
+        expect(core.info).toHaveBeenCalledWith('2025-01-01T00:00:00.000Z [ecs/main/task1] Listening on 80');
+        expect(core.setFailed).not.toHaveBeenCalled();
+      });
+
+      test('warns and keeps the deployment error when logs cannot be read', async () => {
+        mockInputs('on-failure');
+        mockDeployment('FAILED');
+        mockLogsSend.mockRejectedValueOnce(new Error('AccessDeniedException: not authorized to perform logs:FilterLogEvents'));
+
+        await run();
+
+        expect(core.warning).toHaveBeenCalledWith(
+          'Unable to read container logs from /aws/ecs/default/test-service: AccessDeniedException: not authorized to perform logs:FilterLogEvents'
+        );
+        expect(core.setFailed).toHaveBeenCalledWith(`Deployment ${deploymentArn} FAILED`);
+      });
+
+      test('fails validation for an unknown show-container-logs value', async () => {
+        mockInputs('always');
+
+        await run();
+
+        expect(mockSend).not.toHaveBeenCalled();
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining(
+          'show-container-logs must be one of true, false, on-failure, got "always"'
+        ));
+      });
+    });
+
     test('fails when service enters INACTIVE state', async () => {
       core.getInput.mockImplementation((name) => {
         if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
@@ -724,99 +1180,330 @@ describe('Amazon ECS Deploy Express Service', () => {
       expect(core.setOutput).toHaveBeenCalledWith('endpoint', endpoint);
       expect(core.info).toHaveBeenCalledWith(`Service endpoint: ${endpoint}`);
     });
-  });
 
-  describe('Tag handling', () => {
-    test('includes tags in service config when provided as JSON', async () => {
+    test('keeps polling after a transient error whose message mentions a failure status', async () => {
       core.getInput.mockImplementation((name) => {
         if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
         if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
         if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
         if (name === 'service-name') return 'test-service';
-        if (name === 'tags') return '[{"key":"Environment","value":"Production"},{"key":"Team","value":"DevOps"}]';
         return '';
       });
 
+      jest.useFakeTimers();
+
       const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
       const deploymentMocks = mockSuccessfulDeployment(serviceArn);
-      
       mockSend
         .mockResolvedValueOnce({ services: [] })
         .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockRejectedValueOnce(new Error('socket hang up: request FAILED, connection STOPPED')) // DescribeExpressGatewayService
         .mockResolvedValueOnce(deploymentMocks[0])
         .mockResolvedValueOnce(deploymentMocks[1])
         .mockResolvedValueOnce(deploymentMocks[2]);
 
-      await run();
+      const runPromise = run();
+      await jest.advanceTimersByTimeAsync(15000);
+      await runPromise;
 
-      expect(core.debug).toHaveBeenCalledWith('Tags successfully included in service creation');
+      expect(core.warning).toHaveBeenCalledWith('Error checking status (1/5): socket hang up: request FAILED, connection STOPPED');
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Deployment completed successfully');
+
+      jest.useRealTimers();
     });
 
-    test('includes tags in service config when provided as multiline', async () => {
+    test('gives up after too many consecutive polling errors', async () => {
       core.getInput.mockImplementation((name) => {
         if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
         if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
         if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
         if (name === 'service-name') return 'test-service';
-        if (name === 'tags') return 'Environment=Production\nTeam=DevOps\nCostCenter=';
         return '';
       });
 
+      jest.useFakeTimers();
+
       const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
-      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
-      
+      const accessDenied = new Error('Not authorized to perform ecs:DescribeExpressGatewayService');
+      accessDenied.name = 'AccessDeniedException';
       mockSend
         .mockResolvedValueOnce({ services: [] })
         .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
-        .mockResolvedValueOnce(deploymentMocks[0])
-        .mockResolvedValueOnce(deploymentMocks[1])
-        .mockResolvedValueOnce(deploymentMocks[2]);
+        .mockRejectedValue(accessDenied);
 
-      await run();
+      const runPromise = run();
+      await jest.advanceTimersByTimeAsync(4 * 15000);
+      await runPromise;
 
-      expect(core.debug).toHaveBeenCalledWith('Tags successfully included in service creation');
+      expect(core.warning).toHaveBeenCalledTimes(4);
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Unable to check the deployment status after 5 consecutive errors: Not authorized to perform ecs:DescribeExpressGatewayService'
+      );
+
+      jest.useRealTimers();
     });
 
-    test('skips tag processing when no tags provided', async () => {
+    test('counts ListServiceDeployments errors against the error budget', async () => {
       core.getInput.mockImplementation((name) => {
         if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
         if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
         if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
         if (name === 'service-name') return 'test-service';
-        if (name === 'tags') return '';
         return '';
       });
 
+      jest.useFakeTimers();
+
       const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
-      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
-      
+      const accessDenied = new Error('Not authorized to perform ecs:ListServiceDeployments');
+      accessDenied.name = 'AccessDeniedException';
+      const isCommand = (Command, command) => Command.mock.instances.includes(command);
       mockSend
         .mockResolvedValueOnce({ services: [] })
         .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
-        .mockResolvedValueOnce(deploymentMocks[0])
-        .mockResolvedValueOnce(deploymentMocks[1])
-        .mockResolvedValueOnce(deploymentMocks[2]);
+        .mockImplementation(async (command) => {
+          if (isCommand(ListServiceDeploymentsCommand, command)) {
+            throw accessDenied;
+          }
+          return { service: { serviceArn: serviceArn, status: { statusCode: 'ACTIVE' }, cluster: 'default' } };
+        });
 
-      await run();
+      const runPromise = run();
+      await jest.advanceTimersByTimeAsync(4 * 15000);
+      await runPromise;
 
-      expect(core.info).not.toHaveBeenCalledWith(expect.stringContaining('Processing tags'));
+      expect(core.warning).toHaveBeenCalledWith(
+        `Error checking status (1/5): ListServiceDeployments error: Not authorized to perform ecs:ListServiceDeployments. Service ARN: ${serviceArn}`
+      );
+      expect(core.setFailed).toHaveBeenCalledWith(
+        `Unable to check the deployment status after 5 consecutive errors: ListServiceDeployments error: Not authorized to perform ecs:ListServiceDeployments. Service ARN: ${serviceArn}`
+      );
+
+      jest.useRealTimers();
     });
 
-    test('fails with helpful message when JSON tags are malformed', async () => {
+    test('fails when ECS rolled the deployment back', async () => {
       core.getInput.mockImplementation((name) => {
         if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
         if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
         if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
         if (name === 'service-name') return 'test-service';
-        if (name === 'tags') return '[{"key":"Environment","value":}]'; // Invalid JSON
         return '';
       });
 
-      // Mock service check to avoid unrelated errors
-      mockSend.mockResolvedValueOnce({ services: [] });
-
-      await run();
-
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+      const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/default/test-service/abc123';
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce({
+          service: { serviceArn: serviceArn, status: { statusCode: 'ACTIVE' }, cluster: 'default' }
+        })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+        .mockResolvedValueOnce({
+          serviceDeployments: [{ serviceDeploymentArn: deploymentArn, status: 'ROLLBACK_SUCCESSFUL', statusReason: 'Circuit breaker triggered' }]
+        });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(`Deployment ${deploymentArn} ROLLBACK_SUCCESSFUL`);
+    });
+  });
+
+  describe('Wait behaviour', () => {
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+
+    const mockInputs = (overrides) => {
+      core.getInput.mockImplementation((name) => {
+        if (name in overrides) return overrides[name];
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        return '';
+      });
+    };
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('returns after the API call when wait-for-deployment is false', async () => {
+      mockInputs({ 'wait-for-deployment': 'false' });
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+
+      await run();
+
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(core.setOutput).toHaveBeenCalledWith('service-arn', serviceArn);
+      expect(core.info).toHaveBeenCalledWith('Not waiting for the deployment to complete (wait-for-deployment is false)');
+      expect(core.info).not.toHaveBeenCalledWith('Waiting for service deployment to complete...');
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('fails when the deployment does not complete in time and fail-on-timeout is true', async () => {
+      mockInputs({ 'wait-timeout-minutes': '1', 'poll-interval-seconds': '60', 'fail-on-timeout': 'true' });
+      jest.useFakeTimers();
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValue({ // DescribeExpressGatewayService - never becomes ACTIVE
+          service: { serviceArn: serviceArn, status: { statusCode: 'CREATING' }, cluster: 'default' }
+        });
+
+      const runPromise = run();
+      await jest.advanceTimersByTimeAsync(120000);
+      await runPromise;
+
+      expect(core.setFailed).toHaveBeenCalledWith('Deployment did not complete within 1 minutes');
+      expect(core.warning).not.toHaveBeenCalledWith(expect.stringContaining('taking longer than'));
+    });
+
+    test('warns and succeeds on timeout by default', async () => {
+      mockInputs({ 'wait-timeout-minutes': '1', 'poll-interval-seconds': '60' });
+      jest.useFakeTimers();
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValue({
+          service: { serviceArn: serviceArn, status: { statusCode: 'CREATING' }, cluster: 'default' }
+        });
+
+      const runPromise = run();
+      await jest.advanceTimersByTimeAsync(120000);
+      await runPromise;
+
+      expect(core.warning).toHaveBeenCalledWith('Deployment is taking longer than 1 minutes. The deployment will continue in the background.');
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('uses the configured poll interval', async () => {
+      mockInputs({ 'poll-interval-seconds': '5' });
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.info).toHaveBeenCalledWith(expect.stringContaining('status: SUCCESSFUL. Will re-poll in 5 seconds...'));
+    });
+
+    test('rejects invalid wait settings', async () => {
+      mockInputs({ 'wait-timeout-minutes': 'soon', 'poll-interval-seconds': '0' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith([
+        'Input validation failed with 2 error(s):',
+        '  - wait-timeout-minutes must be a positive number, got "soon"',
+        '  - poll-interval-seconds must be a positive integer, got "0"'
+      ].join('\n'));
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Tag handling', () => {
+    test('includes tags in service config when provided as JSON', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        if (name === 'tags') return '[{"key":"Environment","value":"Production"},{"key":"Team","value":"DevOps"}]';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.debug).toHaveBeenCalledWith('Tags successfully included in service creation');
+    });
+
+    test('includes tags in service config when provided as multiline', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        if (name === 'tags') return 'Environment=Production\nTeam=DevOps\nCostCenter=';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.debug).toHaveBeenCalledWith('Tags successfully included in service creation');
+    });
+
+    test('skips tag processing when no tags provided', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        if (name === 'tags') return '';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.info).not.toHaveBeenCalledWith(expect.stringContaining('Processing tags'));
+    });
+
+    test('fails with helpful message when JSON tags are malformed', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        if (name === 'tags') return '[{"key":"Environment","value":}]'; // Invalid JSON
+        return '';
+      });
+
+      // Mock service check to avoid unrelated errors
+      mockSend.mockResolvedValueOnce({ services: [] });
+
+      await run();
+
       expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Tag parsing failed'));
       expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Invalid tags JSON'));
     });
@@ -861,6 +1548,9 @@ describe('Amazon ECS Deploy Express Service', () => {
             status: 'ACTIVE'
           }]
         })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: { serviceArn: serviceArn }
+        })
         .mockResolvedValueOnce({}) // TagResourceCommand - successful tagging
         .mockResolvedValueOnce({ // UpdateExpressGatewayService
           service: { serviceArn: serviceArn }
@@ -872,7 +1562,7 @@ describe('Amazon ECS Deploy Express Service', () => {
       await run();
 
       // Verify TagResourceCommand was called by checking the call count and success message
-      expect(mockSend).toHaveBeenCalledTimes(6); // DescribeServices + TagResource + UpdateService + 3 monitoring calls
+      expect(mockSend).toHaveBeenCalledTimes(7); // DescribeServices + DescribeExpressGatewayService + TagResource + UpdateService + 3 monitoring calls
       
       expect(core.info).toHaveBeenCalledWith('Successfully applied 2 tags to existing service');
       expect(core.info).toHaveBeenCalledWith('Service updated successfully');
@@ -901,13 +1591,16 @@ describe('Amazon ECS Deploy Express Service', () => {
             status: 'ACTIVE'
           }]
         })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: { serviceArn: serviceArn }
+        })
         .mockRejectedValueOnce(tagError); // TagResourceCommand fails
 
       await run();
 
       // Verify that tagging failure caused deployment to fail
       expect(core.error).toHaveBeenCalledWith('Failed to apply tags to existing service: Access denied for tagging');
-      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Tag application failed'));
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/^Access denied: Tag application failed: Access denied for tagging\. Please check/));
     });
 
     test('removes obsolete tags when updating existing service', async () => {
@@ -936,6 +1629,9 @@ describe('Amazon ECS Deploy Express Service', () => {
             ]
           }]
         })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: { serviceArn: serviceArn }
+        })
         .mockResolvedValueOnce({}) // UntagResourceCommand succeeds
         .mockResolvedValueOnce({}) // TagResourceCommand succeeds
         .mockResolvedValueOnce({ // UpdateExpressGatewayService
@@ -977,6 +1673,9 @@ describe('Amazon ECS Deploy Express Service', () => {
             ]
           }]
         })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: { serviceArn: serviceArn }
+        })
         .mockResolvedValueOnce({}) // UntagResourceCommand succeeds
         .mockResolvedValueOnce({ // UpdateExpressGatewayService
           service: { serviceArn: serviceArn }
@@ -1015,6 +1714,9 @@ describe('Amazon ECS Deploy Express Service', () => {
             tags: [{ key: 'OldTag', value: 'ShouldBeRemoved' }]
           }]
         })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: { serviceArn: serviceArn }
+        })
         .mockRejectedValueOnce(untagError); // UntagResourceCommand fails
 
       await run();
@@ -1048,6 +1750,9 @@ describe('Amazon ECS Deploy Express Service', () => {
             ]
           }]
         })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: { serviceArn: serviceArn }
+        })
         .mockResolvedValueOnce({ // UpdateExpressGatewayService (no tag API calls)
           service: { serviceArn: serviceArn }
         })
@@ -1087,6 +1792,9 @@ describe('Amazon ECS Deploy Express Service', () => {
             ]
           }]
         })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: { serviceArn: serviceArn }
+        })
         .mockResolvedValueOnce({ // UpdateExpressGatewayService (no tag API calls)
           service: { serviceArn: serviceArn }
         })
@@ -1105,48 +1813,2626 @@ describe('Amazon ECS Deploy Express Service', () => {
     });
   });
 
-  describe('Error handling', () => {
-    test('handles AccessDeniedException with helpful message', async () => {
+  describe('Input validation', () => {
+    const mockInputs = (overrides) => {
       core.getInput.mockImplementation((name) => {
+        if (name in overrides) return overrides[name];
         if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
         if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
         if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
         if (name === 'service-name') return 'test-service';
         return '';
       });
-
-      const accessError = new Error('Access denied');
-      accessError.name = 'AccessDeniedException';
-      // Cluster check fails with access denied
-      mockSend.mockRejectedValue(accessError);
+    };
+
+    test('reports all invalid inputs together before any AWS call', async () => {
+      mockInputs({
+        'container-port': 'http',
+        'min-task-count': '5',
+        'max-task-count': '2',
+        'auto-scaling-metric': 'CPU',
+        'task-role-arn': 'myTaskRole',
+        'environment-variables': '[{"name":"NODE_ENV"}]',
+        'secrets': '[{"name":"DB_PASSWORD","valueFrom":"arn:aws:s3:::bucket/secret"}]'
+      });
 
       await run();
 
+      const expectedErrors = [
+        'task-role-arn must be an IAM role ARN (arn:aws:iam::ACCOUNT-ID:role/name), got "myTaskRole"',
+        'container-port must be an integer between 1 and 65535, got "http"',
+        'environment-variables[0] must have the shape {"name":"KEY","value":"VALUE"} with string values',
+        'secrets[0] (DB_PASSWORD) valueFrom must be a Secrets Manager secret or SSM parameter ARN, got "arn:aws:s3:::bucket/secret"',
+        'min-task-count (5) must be less than or equal to max-task-count (2)',
+        'auto-scaling-metric must be one of AVERAGE_CPU, AVERAGE_MEMORY, REQUEST_COUNT_PER_TARGET, got "CPU"'
+      ];
+      for (const expectedError of expectedErrors) {
+        expect(core.error).toHaveBeenCalledWith(expectedError, { title: 'Invalid input' });
+      }
       expect(core.setFailed).toHaveBeenCalledWith(
-        expect.stringContaining('Access denied')
+        `Input validation failed with 6 error(s):\n${expectedErrors.map(error => `  - ${error}`).join('\n')}`
       );
+      expect(mockSend).not.toHaveBeenCalled();
     });
 
-    test('handles InvalidParameterException with helpful message', async () => {
+    test('rejects unsupported Fargate cpu and memory combinations', async () => {
+      mockInputs({ cpu: '256', memory: '4096' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining(
+        'memory 4096 is not supported with cpu 256, allowed values are 512, 1024, 2048'
+      ));
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+
+    test('only checks the memory size when cpu is not set', async () => {
+      mockInputs({ memory: '4096' });
+      mockSend.mockResolvedValueOnce({ services: [] });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalledWith(expect.stringContaining('Input validation failed'));
+      expect(mockSend).toHaveBeenCalled();
+
+      jest.clearAllMocks();
+      mockInputs({ memory: '3000' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('memory must be a supported Fargate memory size in MiB, got "3000"'));
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+
+    test('reports parse errors together with validation errors', async () => {
+      mockInputs({
+        'container-port': '0',
+        'command': '["node", ',
+        'tags': 'Team=web\nInvalidLine',
+        'environment-variables': 'NODE_ENV=production\nnot-an-assignment'
+      });
+
+      await run();
+
+      expect(core.error).toHaveBeenCalledWith(expect.stringMatching(/^Invalid command JSON: /), { title: 'Invalid input' });
+      expect(core.error).toHaveBeenCalledWith(
+        'Tag parsing failed: Invalid tag format: "InvalidLine". Expected format: key=value',
+        { title: 'Invalid input' }
+      );
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/^Input validation failed with 4 error\(s\):\n/));
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining(
+        '  - Invalid environment-variables:\n    - line 2: expected NAME=VALUE, got "not-an-assignment"'
+      ));
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('container-port must be an integer between 1 and 65535, got "0"'));
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+
+    test('rejects out of range container port', async () => {
+      mockInputs({ 'container-port': '70000' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining(
+        'container-port must be an integer between 1 and 65535, got "70000"'
+      ));
+    });
+
+    test('accepts valid cpu, memory and scaling configuration', async () => {
+      mockInputs({
+        cpu: '1024',
+        memory: '3072',
+        'min-task-count': '1',
+        'max-task-count': '1',
+        'auto-scaling-metric': 'REQUEST_COUNT_PER_TARGET',
+        'auto-scaling-target-value': '100',
+        secrets: '[{"name":"API_KEY","valueFrom":"/my-app/api-key"}]'
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(CreateExpressGatewayServiceCommand.mock.calls[0][0].scalingTarget).toEqual({
+        minTaskCount: 1,
+        maxTaskCount: 1,
+        autoScalingMetric: 'REQUEST_COUNT_PER_TARGET',
+        autoScalingTargetValue: 100
+      });
+    });
+  });
+
+  describe('Environment variable and secret formats', () => {
+    let workspace;
+
+    beforeEach(() => {
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'env-file-'));
+      process.env.GITHUB_WORKSPACE = workspace;
+    });
+
+    afterEach(() => {
+      fs.rmSync(workspace, { recursive: true, force: true });
+      delete process.env.GITHUB_WORKSPACE;
+    });
+
+    const mockInputs = (overrides) => {
       core.getInput.mockImplementation((name) => {
+        if (name in overrides) return overrides[name];
         if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
         if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
         if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
         if (name === 'service-name') return 'test-service';
         return '';
       });
+    };
 
-      const paramError = new Error('Invalid parameter');
-      paramError.name = 'InvalidParameterException';
-      mockSend.mockRejectedValue(paramError);
-
-      await run();
-
-      expect(core.setFailed).toHaveBeenCalledWith(
-        expect.stringContaining('Invalid parameter')
+    const mockCreateAndDeploy = () => {
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/test-service';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+    };
+
+    test('parses KEY=VALUE lines for environment variables and secrets', async () => {
+      mockInputs({
+        'environment-variables': '# runtime settings\nNODE_ENV=production\nGREETING="hello world"\n\nEMPTY=',
+        'secrets': 'DB_PASSWORD=arn:aws:secretsmanager:us-east-1:123456789012:secret:db-password\nAPI_KEY=arn:aws:ssm:us-east-1:123456789012:parameter/api-key'
+      });
+      mockCreateAndDeploy();
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      const primaryContainer = CreateExpressGatewayServiceCommand.mock.calls[0][0].primaryContainer;
+      expect(primaryContainer.environment).toEqual([
+        { name: 'NODE_ENV', value: 'production' },
+        { name: 'GREETING', value: 'hello world' },
+        { name: 'EMPTY', value: '' }
+      ]);
+      expect(primaryContainer.secrets).toEqual([
+        { name: 'DB_PASSWORD', valueFrom: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:db-password' },
+        { name: 'API_KEY', valueFrom: 'arn:aws:ssm:us-east-1:123456789012:parameter/api-key' }
+      ]);
+    });
+
+    test('reads env-file and lets environment-variables override it', async () => {
+      fs.writeFileSync(path.join(workspace, '.env'), 'export NODE_ENV=staging\nLOG_LEVEL=info\n');
+      mockInputs({
+        'env-file': '.env',
+        'environment-variables': 'NODE_ENV=production'
+      });
+      mockCreateAndDeploy();
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(CreateExpressGatewayServiceCommand.mock.calls[0][0].primaryContainer.environment).toEqual([
+        { name: 'NODE_ENV', value: 'production' },
+        { name: 'LOG_LEVEL', value: 'info' }
+      ]);
+    });
+
+    test('reports malformed and duplicate lines with line numbers', async () => {
+      mockInputs({
+        'environment-variables': 'NODE_ENV=production\nnot-an-assignment\nNODE_ENV=staging\nQUOTED="unterminated'
+      });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith([
+        'Input validation failed with 1 error(s):',
+        '  - Invalid environment-variables:',
+        '    - line 2: expected NAME=VALUE, got "not-an-assignment"',
+        '    - line 3: duplicate name "NODE_ENV" (first defined on line 1)',
+        '    - line 4: unterminated quoted value for "QUOTED"'
+      ].join('\n'));
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+
+    test('reports duplicate names in JSON input', async () => {
+      mockInputs({
+        'secrets': '[{"name":"API_KEY","valueFrom":"/a"},{"name":"API_KEY","valueFrom":"/b"}]'
+      });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('secrets contains duplicate name "API_KEY"'));
+    });
+  });
+
+  describe('Dry run', () => {
+    test('prints configuration diff against live service without deploying', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        if (name === 'environment-variables') return '[{"name":"LOG_LEVEL","value":"debug"},{"name":"NODE_ENV","value":"production"}]';
+        if (name === 'cpu') return '1024';
+        if (name === 'max-task-count') return '10';
+        if (name === 'dry-run') return 'true';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+
+      mockSend
+        .mockResolvedValueOnce({ // DescribeServices
+          services: [{ serviceArn: serviceArn, status: 'ACTIVE' }]
+        })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService
+          service: {
+            serviceArn: serviceArn,
+            activeConfigurations: [{
+              executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+              cpu: '1024',
+              primaryContainer: {
+                image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1',
+                environment: [
+                  { name: 'NODE_ENV', value: 'production' },
+                  { name: 'LOG_LEVEL', value: 'info' }
+                ]
+              },
+              scalingTarget: { minTaskCount: 1, maxTaskCount: 4 }
+            }]
+          }
+        });
+
+      await run();
+
+      const expectedDiff = [
+        '- image: "123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1"',
+        '+ image: "123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2"',
+        '- environment[LOG_LEVEL]: "info"',
+        '+ environment[LOG_LEVEL]: "debug"',
+        '- scalingTarget.maxTaskCount: 4',
+        '+ scalingTarget.maxTaskCount: 10'
+      ].join('\n');
+
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(core.setOutput).toHaveBeenCalledWith('config-diff', expectedDiff);
+      expect(core.summary.addCodeBlock).toHaveBeenCalledWith(expectedDiff, 'diff');
+      expect(core.info).toHaveBeenCalledWith('Dry run complete, no changes were deployed');
+      expect(core.info).not.toHaveBeenCalledWith('Updating Express Gateway service...');
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('reports full configuration when service does not exist', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'new-service';
+        if (name === 'tags') return 'Environment=Production';
+        if (name === 'dry-run') return 'true';
+        return '';
+      });
+
+      mockSend.mockResolvedValueOnce({ services: [] }); // DescribeServices - not found
+
+      await run();
+
+      expect(mockSend).toHaveBeenCalledTimes(1);
+      expect(core.setOutput).toHaveBeenCalledWith('config-diff', [
+        '+ image: "123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1"',
+        '+ executionRoleArn: "arn:aws:iam::123456789012:role/ecsTaskExecutionRole"',
+        '+ tags[Environment]: "Production"'
+      ].join('\n'));
+      expect(core.info).not.toHaveBeenCalledWith('Creating Express Gateway service...');
+    });
+
+    test('reports no changes when live configuration matches', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        if (name === 'tags') return 'Environment=Production';
+        if (name === 'dry-run') return 'true';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+
+      mockSend
+        .mockResolvedValueOnce({ // DescribeServices - tags differ but tag management is disabled
+          services: [{ serviceArn: serviceArn, status: 'ACTIVE', tags: [] }]
+        })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService
+          service: {
+            serviceArn: serviceArn,
+            activeConfigurations: [{
+              executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+              primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1' }
+            }]
+          }
+        });
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('config-diff', 'No configuration changes detected');
+    });
+
+    test('escapes the service name in the job summary', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'services') return '[{"serviceName": "<img src=x onerror=alert(1)>"}]';
+        if (name === 'dry-run') return 'true';
+        return '';
+      });
+
+      mockSend.mockResolvedValueOnce({ services: [] }); // DescribeServices - not found
+
+      await run();
+
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Dry run: &lt;img src=x onerror=alert(1)&gt;', 3);
+    });
+  });
+
+  describe('Rollback on failure', () => {
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+    const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/default/my-service/abc123';
+    const previousConfiguration = {
+      serviceRevisionArn: 'arn:aws:ecs:us-east-1:123456789012:service-revision/default/my-service/111',
+      executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+      cpu: '512',
+      memory: '1024',
+      primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1' },
+      ingressPaths: [{ endpoint: 'https://my-service.example.com' }]
+    };
+
+    const mockInputs = (rollbackOnFailure) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        if (name === 'rollback-on-failure') return rollbackOnFailure;
+        return '';
+      });
+    };
+
+    const mockFailedDeployment = (status = 'FAILED') => {
+      mockSend
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService
+          service: { serviceArn: serviceArn, status: { statusCode: 'ACTIVE' }, cluster: 'default' }
+        })
+        .mockResolvedValueOnce({ // ListServiceDeployments
+          serviceDeployments: [{ serviceDeploymentArn: deploymentArn }]
+        })
+        .mockResolvedValueOnce({ // DescribeServiceDeployments
+          serviceDeployments: [{ serviceDeploymentArn: deploymentArn, status: status }]
+        })
+        .mockResolvedValueOnce({ taskArns: [] }); // ListTasks - no stopped tasks
+    };
+
+    test('re-applies previous configuration when deployment fails', async () => {
+      mockInputs('true');
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] }) // DescribeServices
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - capture configuration
+          service: { serviceArn: serviceArn, activeConfigurations: [previousConfiguration] }
+        })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }); // UpdateExpressGatewayService
+      mockFailedDeployment();
+      mockSend
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // UpdateExpressGatewayService - rollback
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledTimes(2);
+      expect(UpdateExpressGatewayServiceCommand.mock.calls[1][0]).toEqual({
+        serviceArn: serviceArn,
+        executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+        cpu: '512',
+        memory: '1024',
+        primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1' }
+      });
+      expect(core.setOutput).toHaveBeenCalledWith('rolled-back', 'true');
+      expect(core.info).toHaveBeenCalledWith('Rollback completed successfully');
+      expect(core.setFailed).toHaveBeenCalledWith(
+        `Deployment ${deploymentArn} FAILED. The service was rolled back to its previous configuration`
+      );
+    });
+
+    test('does not roll back again when ECS already rolled the deployment back', async () => {
+      mockInputs('true');
+
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] }) // DescribeServices
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - capture configuration
+          service: { serviceArn: serviceArn, activeConfigurations: [previousConfiguration] }
+        })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }); // UpdateExpressGatewayService
+      mockFailedDeployment('ROLLBACK_SUCCESSFUL');
+
+      await run();
+
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledTimes(1);
+      expect(core.info).toHaveBeenCalledWith('ECS already rolled the deployment back, skipping rollback on failure');
+      expect(core.setOutput).toHaveBeenCalledWith('rolled-back', 'true');
+      expect(core.setFailed).toHaveBeenCalledWith(
+        `Deployment ${deploymentArn} ROLLBACK_SUCCESSFUL. ECS rolled the service back to its previous configuration`
+      );
+    });
+
+    test('reports both failures when rollback fails', async () => {
+      mockInputs('true');
+
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({
+          service: { serviceArn: serviceArn, activeConfigurations: [previousConfiguration] }
+        })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+      mockFailedDeployment();
+      mockSend.mockRejectedValueOnce(new Error('Service is busy')); // UpdateExpressGatewayService - rollback
+
+      await run();
+
+      expect(core.setOutput).not.toHaveBeenCalledWith('rolled-back', 'true');
+      expect(core.setFailed).toHaveBeenCalledWith(
+        `Deployment ${deploymentArn} FAILED. Rollback to the previous configuration failed: Service is busy`
+      );
+    });
+
+    test('does not roll back when rollback-on-failure is not enabled', async () => {
+      mockInputs('');
+
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // DescribeExpressGatewayService - live configuration
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+      mockFailedDeployment();
+
+      await run();
+
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledTimes(1);
+      expect(mockSend).toHaveBeenCalledTimes(7);
+      expect(core.setFailed).toHaveBeenCalledWith(`Deployment ${deploymentArn} FAILED`);
+    });
+  });
+
+  describe('Smoke test', () => {
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+    const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/default/my-service/abc123';
+    let fetchSpy;
+
+    const mockInputs = (inputs) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        if (name === 'smoke-test') return 'true';
+        if (name === 'smoke-test-retry-delay-seconds') return '0';
+        return inputs[name] || '';
+      });
+    };
+
+    const mockDeploymentWithEndpoint = () => {
+      mockSend
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService
+          service: {
+            serviceArn: serviceArn,
+            status: { statusCode: 'ACTIVE' },
+            cluster: 'default',
+            activeConfigurations: [{ ingressPaths: [{ endpoint: 'my-service.ecs.us-east-1.on.aws' }] }]
+          }
+        })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn, status: 'SUCCESSFUL' }] });
+    };
+
+    const httpResponse = (status, body = '') => ({ status: status, text: jest.fn().mockResolvedValue(body) });
+
+    beforeEach(() => {
+      fetchSpy = jest.spyOn(global, 'fetch');
+    });
+
+    afterEach(() => {
+      fetchSpy.mockRestore();
+    });
+
+    test('checks the health check path by default', async () => {
+      mockInputs({ 'health-check-path': '/health' });
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+      mockDeploymentWithEndpoint();
+      fetchSpy.mockResolvedValueOnce(httpResponse(200, 'OK'));
+
+      await run();
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://my-service.ecs.us-east-1.on.aws/health');
+      expect(core.info).toHaveBeenCalledWith('Smoke test completed successfully');
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('retries until the expected status and body are returned', async () => {
+      mockInputs({
+        'smoke-test-paths': '/api/orders\n/',
+        'smoke-test-expected-status': '200, 204',
+        'smoke-test-expected-body': 'ready'
+      });
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+      mockDeploymentWithEndpoint();
+      fetchSpy
+        .mockRejectedValueOnce(new TypeError('fetch failed', { cause: new Error('getaddrinfo ENOTFOUND my-service.ecs.us-east-1.on.aws') }))
+        .mockResolvedValueOnce(httpResponse(503))
+        .mockResolvedValueOnce(httpResponse(200, 'starting'))
+        .mockResolvedValueOnce(httpResponse(204, 'ready'))
+        .mockResolvedValueOnce(httpResponse(200, 'ready'));
+
+      await run();
+
+      expect(fetchSpy.mock.calls.map(call => call[0])).toEqual([
+        'https://my-service.ecs.us-east-1.on.aws/api/orders',
+        'https://my-service.ecs.us-east-1.on.aws/api/orders',
+        'https://my-service.ecs.us-east-1.on.aws/api/orders',
+        'https://my-service.ecs.us-east-1.on.aws/api/orders',
+        'https://my-service.ecs.us-east-1.on.aws/'
+      ]);
+      expect(core.info).toHaveBeenCalledWith(
+        'Smoke test attempt 1/5 for GET https://my-service.ecs.us-east-1.on.aws/api/orders request failed: getaddrinfo ENOTFOUND my-service.ecs.us-east-1.on.aws, retrying in 0s'
+      );
+      expect(core.info).toHaveBeenCalledWith(
+        'Smoke test attempt 2/5 for GET https://my-service.ecs.us-east-1.on.aws/api/orders returned status 503, expected 200 or 204, retrying in 0s'
+      );
+      expect(core.info).toHaveBeenCalledWith(
+        'Smoke test attempt 3/5 for GET https://my-service.ecs.us-east-1.on.aws/api/orders response body does not contain "ready", retrying in 0s'
+      );
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('fails when the checks never pass', async () => {
+      mockInputs({ 'smoke-test-attempts': '2' });
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+      mockDeploymentWithEndpoint();
+      fetchSpy.mockResolvedValue(httpResponse(502));
+
+      await run();
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Smoke test failed: GET https://my-service.ecs.us-east-1.on.aws/ping returned status 502, expected 200 after 2 attempt(s)'
+      );
+    });
+
+    test('rolls back when the checks fail and rollback-on-failure is enabled', async () => {
+      mockInputs({ 'smoke-test-attempts': '1', 'rollback-on-failure': 'true' });
+      const rollbackMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - capture configuration
+          service: {
+            serviceArn: serviceArn,
+            activeConfigurations: [{ primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1' } }]
+          }
+        })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+      mockDeploymentWithEndpoint();
+      mockSend
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // UpdateExpressGatewayService - rollback
+        .mockResolvedValueOnce(rollbackMocks[0])
+        .mockResolvedValueOnce(rollbackMocks[1])
+        .mockResolvedValueOnce(rollbackMocks[2]);
+      fetchSpy.mockResolvedValueOnce(httpResponse(500));
+
+      await run();
+
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledTimes(2);
+      expect(UpdateExpressGatewayServiceCommand.mock.calls[1][0]).toEqual({
+        serviceArn: serviceArn,
+        primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1' }
+      });
+      expect(core.setOutput).toHaveBeenCalledWith('rolled-back', 'true');
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Smoke test failed: GET https://my-service.ecs.us-east-1.on.aws/ping returned status 500, expected 200 after 1 attempt(s). ' +
+        'The service was rolled back to its previous configuration'
+      );
+    });
+
+    test('skips the smoke test when the wait timed out', async () => {
+      mockInputs({ 'wait-timeout-minutes': '1', 'poll-interval-seconds': '60', 'rollback-on-failure': 'true' });
+      jest.useFakeTimers();
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - capture configuration
+          service: {
+            serviceArn: serviceArn,
+            activeConfigurations: [{ primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1' } }]
+          }
+        })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValue({ // DescribeExpressGatewayService - never becomes ACTIVE
+          service: { serviceArn: serviceArn, status: { statusCode: 'UPDATING' }, cluster: 'default' }
+        });
+
+      const runPromise = run();
+      await jest.advanceTimersByTimeAsync(120000);
+      await runPromise;
+      jest.useRealTimers();
+
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledTimes(1);
+      expect(core.warning).toHaveBeenCalledWith('Smoke test requires the deployment to complete and will be skipped because the wait timed out');
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('fails validation for invalid smoke test inputs', async () => {
+      mockInputs({ 'smoke-test-paths': 'health', 'smoke-test-expected-status': '2xx', 'smoke-test-attempts': '0' });
+
+      await run();
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(core.error).toHaveBeenCalledWith('smoke-test-paths entries must start with "/", got "health"', { title: 'Invalid input' });
+      expect(core.error).toHaveBeenCalledWith('smoke-test-expected-status must be a list of HTTP status codes, got "2xx"', { title: 'Invalid input' });
+      expect(core.error).toHaveBeenCalledWith('smoke-test-attempts must be a positive integer, got "0"', { title: 'Invalid input' });
+    });
+  });
+
+  describe('Deployment report', () => {
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+    const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/default/my-service/abc123';
+
+    const mockInputs = (inputs = {}) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        return inputs[name] || '';
+      });
+    };
+
+    const tableRows = () => Object.fromEntries(core.summary.addTable.mock.calls[0][0].slice(1));
+
+    test('reports the update, configuration and tag changes and the final deployment', async () => {
+      mockInputs({ 'cpu': '512', 'tags': '[{"key":"Team","value":"web"}]', 'mutate-tags-on-update': 'true' });
+      mockSend
+        .mockResolvedValueOnce({ // DescribeServices
+          services: [{ serviceArn: serviceArn, status: 'ACTIVE', tags: [{ key: 'Owner', value: 'ops' }] }]
+        })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: {
+            serviceArn: serviceArn,
+            activeConfigurations: [{
+              executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+              cpu: '256',
+              primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1' }
+            }]
+          }
+        })
+        .mockResolvedValueOnce({}) // UntagResource
+        .mockResolvedValueOnce({}) // TagResource
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // UpdateExpressGatewayService
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService
+          service: {
+            serviceArn: serviceArn,
+            status: { statusCode: 'ACTIVE' },
+            cluster: 'default',
+            activeConfigurations: [{ ingressPaths: [{ endpoint: 'my-service.ecs.us-east-1.on.aws' }] }]
+          }
+        })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+        .mockResolvedValueOnce({
+          serviceDeployments: [{
+            serviceDeploymentArn: deploymentArn,
+            status: 'SUCCESSFUL',
+            targetServiceRevision: { arn: 'revision/222', requestedTaskCount: 2, runningTaskCount: 2, pendingTaskCount: 0 }
+          }]
+        });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Deployment report: my-service', 3);
+      expect(tableRows()).toEqual(expect.objectContaining({
+        'Service': 'my-service',
+        'Cluster': 'default',
+        'Region': 'us-east-1',
+        'Action': 'Updated existing service',
+        'Image before': '<code>123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1</code>',
+        'Image after': '<code>123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2</code>',
+        'Deployment': `<code>${deploymentArn}</code>`,
+        'Status': 'SUCCESSFUL',
+        'Result': 'Succeeded',
+        'Tasks': '2/2 running, 0 pending',
+        'Endpoint': '<a href="https://my-service.ecs.us-east-1.on.aws">my-service.ecs.us-east-1.on.aws</a>'
+      }));
+      expect(core.summary.addCodeBlock).toHaveBeenCalledWith(
+        '- image: "123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1"\n' +
+        '+ image: "123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2"\n' +
+        '- cpu: "256"\n' +
+        '+ cpu: "512"',
+        'diff'
+      );
+      expect(core.summary.addList).toHaveBeenCalledWith(['Added <code>Team=web</code>', 'Removed <code>Owner</code>']);
+      expect(core.summary.write).toHaveBeenCalled();
+    });
+
+    test('reports the failure when the service cannot be updated', async () => {
+      mockInputs();
+      const accessDenied = new Error('User is not authorized to perform ecs:UpdateExpressGatewayService');
+      accessDenied.name = 'AccessDeniedException';
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+          service: {
+            serviceArn: serviceArn,
+            activeConfigurations: [{ primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1' } }]
+          }
+        })
+        .mockRejectedValueOnce(accessDenied); // UpdateExpressGatewayService
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/^Access denied: User is not authorized/));
+      expect(tableRows()).toEqual(expect.objectContaining({
+        'Action': 'Updated existing service',
+        'Image before': '<code>123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1</code>',
+        'Image after': '<code>123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2</code>',
+        'Deployment': '-',
+        'Result': expect.stringMatching(/^Failed: Access denied: User is not authorized to perform ecs:UpdateExpressGatewayService/)
+      }));
+      expect(core.summary.write).toHaveBeenCalled();
+    });
+
+    test('reports the failure when the deployment fails', async () => {
+      mockInputs();
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, status: { statusCode: 'ACTIVE' }, cluster: 'default' } })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+        .mockResolvedValueOnce({
+          serviceDeployments: [{ serviceDeploymentArn: deploymentArn, status: 'FAILED', statusReason: 'Tasks failed to start' }]
+        })
+        .mockResolvedValueOnce({ taskArns: [] }); // ListTasks
+
+      await run();
+
+      expect(tableRows()).toEqual(expect.objectContaining({
+        'Action': 'Created new service',
+        'Image before': '-',
+        'Status': 'FAILED: Tasks failed to start',
+        'Result': `Failed: Deployment ${deploymentArn} FAILED`,
+        'Endpoint': '-'
+      }));
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Configuration', 4);
+      expect(core.summary.write).toHaveBeenCalled();
+    });
+
+    test('does not write a report when no deployment was started', async () => {
+      mockInputs({ 'cpu': 'large' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalled();
+      expect(core.summary.write).not.toHaveBeenCalled();
+    });
+
+    test('logs a warning when the summary cannot be written', async () => {
+      mockInputs({ 'wait-for-deployment': 'false' });
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+      core.summary.write.mockRejectedValueOnce(new Error('Unable to find environment variable for $GITHUB_STEP_SUMMARY'));
+
+      await run();
+
+      expect(tableRows()['Status']).toBe('Not monitored (wait-for-deployment is false)');
+      expect(core.warning).toHaveBeenCalledWith('Failed to write job summary: Unable to find environment variable for $GITHUB_STEP_SUMMARY');
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Multiple services', () => {
+    const executionRoleArn = 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+    const infrastructureRoleArn = 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+    const serviceArnFor = (name) => `arn:aws:ecs:us-east-1:123456789012:service/default/${name}`;
+    let workspace;
+
+    beforeEach(() => {
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'service-spec-'));
+      process.env.GITHUB_WORKSPACE = workspace;
+    });
+
+    afterEach(() => {
+      fs.rmSync(workspace, { recursive: true, force: true });
+      delete process.env.GITHUB_WORKSPACE;
+    });
+
+    const mockInputs = (inputs) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'execution-role-arn') return executionRoleArn;
+        if (name === 'infrastructure-role-arn') return infrastructureRoleArn;
+        return inputs[name] || '';
+      });
+    };
+
+    const servicesInput = (...names) => JSON.stringify(names.map(name => ({
+      serviceName: name,
+      primaryContainer: { image: `123456789012.dkr.ecr.us-east-1.amazonaws.com/${name}:v2` }
+    })));
+
+    const deploymentOutput = () => JSON.parse(core.setOutput.mock.calls.find(call => call[0] === 'deployments')[1]);
+
+    test('deploys each document of a multi-document spec file', async () => {
+      fs.writeFileSync(path.join(workspace, 'services.yml'), [
+        'serviceName: api',
+        'primaryContainer:',
+        '  image: 123456789012.dkr.ecr.us-east-1.amazonaws.com/api:v2',
+        '---',
+        'serviceName: admin',
+        'cpu: 512',
+        'memory: 1024',
+        'primaryContainer:',
+        '  image: 123456789012.dkr.ecr.us-east-1.amazonaws.com/admin:v2',
+        '---'
+      ].join('\n'));
+      mockInputs({ 'service-spec': 'services.yml', 'tags': 'Team=web' });
+
+      for (const name of ['api', 'admin']) {
+        const deploymentMocks = mockSuccessfulDeployment(serviceArnFor(name));
+        mockSend
+          .mockResolvedValueOnce({ services: [] })
+          .mockResolvedValueOnce({ service: { serviceArn: serviceArnFor(name) } })
+          .mockResolvedValueOnce(deploymentMocks[0])
+          .mockResolvedValueOnce(deploymentMocks[1])
+          .mockResolvedValueOnce(deploymentMocks[2]);
+      }
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Loaded 2 services from services.yml');
+      expect(CreateExpressGatewayServiceCommand).toHaveBeenCalledTimes(2);
+      expect(CreateExpressGatewayServiceCommand.mock.calls[0][0]).toEqual(expect.objectContaining({
+        serviceName: 'api',
+        executionRoleArn: executionRoleArn,
+        tags: [{ key: 'Team', value: 'web' }]
+      }));
+      expect(CreateExpressGatewayServiceCommand.mock.calls[1][0]).toEqual(expect.objectContaining({
+        serviceName: 'admin',
+        cpu: '512',
+        memory: '1024'
+      }));
+      expect(deploymentOutput()).toEqual([
+        { serviceName: 'api', serviceArn: serviceArnFor('api'), status: 'succeeded' },
+        { serviceName: 'admin', serviceArn: serviceArnFor('admin'), status: 'succeeded' }
+      ]);
+      expect(core.setOutput).not.toHaveBeenCalledWith('service-arn', expect.anything());
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Deployment report: api', 3);
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Deployment report: admin', 3);
+    });
+
+    test('deploys services in parallel up to max-parallel', async () => {
+      mockInputs({ 'services': servicesInput('api', 'admin', 'webhooks'), 'max-parallel': '2' });
+
+      // Route responses by command, since parallel deployments interleave their calls
+      const isCommand = (Command, command) => Command.mock.instances.includes(command);
+      const inputOf = (Command, command) => Command.mock.calls[Command.mock.instances.indexOf(command)][0];
+      mockSend.mockImplementation(async (command) => {
+        if (isCommand(DescribeServicesCommand, command)) {
+          return { services: [] };
+        }
+        if (isCommand(CreateExpressGatewayServiceCommand, command)) {
+          return { service: { serviceArn: serviceArnFor(inputOf(CreateExpressGatewayServiceCommand, command).serviceName) } };
+        }
+        if (isCommand(DescribeExpressGatewayServiceCommand, command)) {
+          return { service: { serviceArn: inputOf(DescribeExpressGatewayServiceCommand, command).serviceArn, status: { statusCode: 'ACTIVE' }, cluster: 'default' } };
+        }
+        if (isCommand(ListServiceDeploymentsCommand, command)) {
+          return { serviceDeployments: [{ serviceDeploymentArn: `${inputOf(ListServiceDeploymentsCommand, command).service}/abc123` }] };
+        }
+        return { serviceDeployments: [{ serviceDeploymentArn: 'deployment', status: 'SUCCESSFUL' }] };
+      });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(DescribeServicesCommand.mock.calls.map(call => call[0].services[0])).toEqual(['api', 'admin', 'webhooks']);
+      // Both workers describe their first service before either of them creates it
+      expect(isCommand(DescribeServicesCommand, mockSend.mock.calls[1][0])).toBe(true);
+      expect(deploymentOutput().map(result => result.status)).toEqual(['succeeded', 'succeeded', 'succeeded']);
+      // Interleaved lines name their service, and no log group is opened while another service logs
+      expect(core.info).toHaveBeenCalledWith('[us-east-1/admin] Creating Express Gateway service...');
+      expect(core.info).toHaveBeenCalledWith('[us-east-1/webhooks] Deployment summary');
+      expect(core.startGroup).not.toHaveBeenCalled();
+    });
+
+    test('rolls back the whole group when one service fails', async () => {
+      mockInputs({ 'services': servicesInput('api', 'admin'), 'rollback-on-failure': 'true' });
+      const failedDeploymentArn = `${serviceArnFor('admin')}/abc123`;
+
+      for (const name of ['api', 'admin']) {
+        mockSend
+          .mockResolvedValueOnce({ services: [{ serviceArn: serviceArnFor(name), status: 'ACTIVE' }] })
+          .mockResolvedValueOnce({ // DescribeExpressGatewayService - live configuration
+            service: {
+              serviceArn: serviceArnFor(name),
+              activeConfigurations: [{ primaryContainer: { image: `123456789012.dkr.ecr.us-east-1.amazonaws.com/${name}:v1` } }]
+            }
+          })
+          .mockResolvedValueOnce({ service: { serviceArn: serviceArnFor(name) } }); // UpdateExpressGatewayService
+        if (name === 'api') {
+          mockSend.mockResolvedValueOnce(mockSuccessfulDeployment(serviceArnFor(name))[0])
+            .mockResolvedValueOnce(mockSuccessfulDeployment(serviceArnFor(name))[1])
+            .mockResolvedValueOnce(mockSuccessfulDeployment(serviceArnFor(name))[2]);
+        }
+      }
+      mockSend
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArnFor('admin'), status: { statusCode: 'ACTIVE' }, cluster: 'default' } })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: failedDeploymentArn }] })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: failedDeploymentArn, status: 'FAILED' }] })
+        .mockResolvedValueOnce({ taskArns: [] }); // ListTasks
+      for (const name of ['admin', 'api']) {
+        const rollbackMocks = mockSuccessfulDeployment(serviceArnFor(name));
+        mockSend
+          .mockResolvedValueOnce({ service: { serviceArn: serviceArnFor(name) } }) // UpdateExpressGatewayService - rollback
+          .mockResolvedValueOnce(rollbackMocks[0])
+          .mockResolvedValueOnce(rollbackMocks[1])
+          .mockResolvedValueOnce(rollbackMocks[2]);
+      }
+
+      await run();
+
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledTimes(4);
+      expect(UpdateExpressGatewayServiceCommand.mock.calls[3][0]).toEqual({
+        serviceArn: serviceArnFor('api'),
+        primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/api:v1' }
+      });
+      expect(deploymentOutput().map(result => result.status)).toEqual(['rolled-back', 'rolled-back']);
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Deployment failed for 1 of 2 services:\n' +
+        `  - admin: Deployment ${failedDeploymentArn} FAILED. The service was rolled back to its previous configuration`
+      );
+    });
+
+    test('skips the remaining services after a failure', async () => {
+      mockInputs({ 'services': servicesInput('api', 'admin', 'webhooks') });
+      const accessDenied = new Error('User is not authorized to perform ecs:CreateExpressGatewayService');
+      accessDenied.name = 'AccessDeniedException';
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockRejectedValueOnce(accessDenied);
+
+      await run();
+
+      expect(CreateExpressGatewayServiceCommand).toHaveBeenCalledTimes(1);
+      expect(deploymentOutput().map(result => result.status)).toEqual(['failed', 'skipped', 'skipped']);
+      expect(core.error).toHaveBeenCalledWith(expect.stringContaining('Access denied'), { title: 'Deployment of api failed' });
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/^Deployment failed for 1 of 3 services \(2 skipped\):\n {2}- api: Access denied/));
+    });
+
+    test('fails validation for service-name and duplicate services', async () => {
+      mockInputs({ 'services': servicesInput('api', 'api'), 'service-name': 'other' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'service-name cannot be used when deploying multiple services, set serviceName for each service instead'
+      );
+
+      jest.clearAllMocks();
+      mockInputs({ 'services': servicesInput('api', 'api') });
+
+      await run();
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.error).toHaveBeenCalledWith('service default/api is defined more than once', { title: 'Invalid input' });
+    });
+
+    test('reports the service with missing required values', async () => {
+      mockInputs({ 'services': '[{"serviceName": "api"}, {"serviceName": "admin", "primaryContainer": {"image": "nginx"}}]' });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Input required and not supplied: image (service api)');
+    });
+  });
+
+  describe('Multiple regions', () => {
+    const serviceArnFor = (region) => `arn:aws:ecs:${region}:123456789012:service/default/api`;
+    const regionSends = {};
+
+    const mockInputs = (inputs) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/api:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'api';
+        return inputs[name] || '';
+      });
+    };
+
+    // Each regional client answers for an existing service; failingRegions reject the update
+    const mockRegionalClients = (failingRegions = []) => {
+      const isCommand = (Command, command) => Command.mock.instances.includes(command);
+      ECSClient.mockImplementation(({ region }) => {
+        const deploymentArn = `${serviceArnFor(region)}/abc123`;
+        let updates = 0;
+        regionSends[region] = jest.fn(async (command) => {
+          if (isCommand(DescribeServicesCommand, command)) {
+            return { services: [{ serviceArn: serviceArnFor(region), status: 'ACTIVE' }] };
+          }
+          if (isCommand(UpdateExpressGatewayServiceCommand, command)) {
+            if (failingRegions.includes(region) && updates++ === 0) {
+              const accessDenied = new Error('User is not authorized to perform ecs:UpdateExpressGatewayService');
+              accessDenied.name = 'AccessDeniedException';
+              throw accessDenied;
+            }
+            return { service: { serviceArn: serviceArnFor(region) } };
+          }
+          if (isCommand(DescribeExpressGatewayServiceCommand, command)) {
+            return {
+              service: {
+                serviceArn: serviceArnFor(region),
+                status: { statusCode: 'ACTIVE' },
+                cluster: 'default',
+                activeConfigurations: [{
+                  primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/api:v1' },
+                  ingressPaths: [{ endpoint: `api.${region}.ecs.example.com` }]
+                }]
+              }
+            };
+          }
+          if (isCommand(ListServiceDeploymentsCommand, command)) {
+            return { serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] };
+          }
+          return { serviceDeployments: [{ serviceDeploymentArn: deploymentArn, status: 'SUCCESSFUL' }] };
+        });
+        return { send: regionSends[region], config: { region: async () => region } };
+      });
+    };
+
+    const regionOutput = () => JSON.parse(core.setOutput.mock.calls.find(call => call[0] === 'region-deployments')[1]);
+
+    test('deploys to each region in waves', async () => {
+      mockInputs({ 'regions': 'us-east-1\neu-west-1, ap-southeast-2' });
+      mockRegionalClients();
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(ECSClient.mock.calls.map(call => call[0].region)).toEqual(['us-east-1', 'eu-west-1', 'ap-southeast-2']);
+      expect(core.info).toHaveBeenCalledWith('Deploying to us-east-1 (wave 1/2)');
+      expect(core.info).toHaveBeenCalledWith('Deploying to eu-west-1, ap-southeast-2 (wave 2/2)');
+      // Regions of the same wave prefix their lines, a region deployed on its own does not
+      expect(core.info).toHaveBeenCalledWith('[eu-west-1] Service updated successfully');
+      expect(core.info).toHaveBeenCalledWith('[ap-southeast-2] Service updated successfully');
+      expect(core.startGroup).toHaveBeenCalledTimes(1);
+      expect(UpdateExpressGatewayServiceCommand.mock.calls.map(call => call[0].serviceArn)).toEqual([
+        serviceArnFor('us-east-1'),
+        serviceArnFor('eu-west-1'),
+        serviceArnFor('ap-southeast-2')
+      ]);
+      expect(regionOutput()).toEqual({
+        'us-east-1': [{ serviceName: 'api', serviceArn: serviceArnFor('us-east-1'), endpoint: 'api.us-east-1.ecs.example.com', status: 'succeeded' }],
+        'eu-west-1': [{ serviceName: 'api', serviceArn: serviceArnFor('eu-west-1'), endpoint: 'api.eu-west-1.ecs.example.com', status: 'succeeded' }],
+        'ap-southeast-2': [{ serviceName: 'api', serviceArn: serviceArnFor('ap-southeast-2'), endpoint: 'api.ap-southeast-2.ecs.example.com', status: 'succeeded' }]
+      });
+      expect(core.setOutput).not.toHaveBeenCalledWith('service-arn', expect.anything());
+      expect(core.setOutput).not.toHaveBeenCalledWith('endpoint', expect.anything());
+    });
+
+    test('stops after a failed region and rolls back earlier regions', async () => {
+      mockInputs({ 'regions': 'us-east-1\neu-west-1\nap-southeast-2', 'rollback-on-failure': 'true' });
+      mockRegionalClients(['eu-west-1']);
+
+      await run();
+
+      expect(ECSClient.mock.calls.map(call => call[0].region)).toEqual(['us-east-1', 'eu-west-1']);
+      expect(core.info).toHaveBeenCalledWith('Skipping region ap-southeast-2 because an earlier region failed');
+      // The second update in us-east-1 restores the configuration captured before the deployment
+      expect(regionSends['us-east-1'].mock.calls.filter(call => UpdateExpressGatewayServiceCommand.mock.instances.includes(call[0]))).toHaveLength(2);
+      expect(UpdateExpressGatewayServiceCommand.mock.calls[2][0]).toEqual({
+        serviceArn: serviceArnFor('us-east-1'),
+        primaryContainer: { image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/api:v1' }
+      });
+      expect(Object.fromEntries(Object.entries(regionOutput()).map(([region, results]) => [region, results.map(result => result.status)]))).toEqual({
+        'us-east-1': ['rolled-back'],
+        'eu-west-1': ['failed'],
+        'ap-southeast-2': ['skipped']
+      });
+      expect(core.error).toHaveBeenCalledWith(expect.stringContaining('Access denied'), { title: 'Deployment to eu-west-1 failed' });
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/^Deployment failed in 1 of 3 regions \(1 skipped\):\n {2}- eu-west-1: Access denied/));
+    });
+
+    test('fails validation for invalid and duplicate regions', async () => {
+      mockInputs({ 'regions': 'us-east-1, us-east-1\nEurope' });
+
+      await run();
+
+      expect(ECSClient).not.toHaveBeenCalled();
+      expect(core.error).toHaveBeenCalledWith('regions contains an invalid region name "Europe"', { title: 'Invalid input' });
+      expect(core.error).toHaveBeenCalledWith('regions lists us-east-1 more than once', { title: 'Invalid input' });
+    });
+  });
+
+  describe('Cross-account deployment', () => {
+    const mockInputs = (inputs) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '210987654321.dkr.ecr.us-east-1.amazonaws.com/api:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::210987654321:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::210987654321:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'api';
+        return inputs[name] || '';
+      });
+    };
+
+    const assumedCredentials = {
+      accessKeyId: 'ASIAEXAMPLE',
+      secretAccessKey: 'secret-access-key',
+      sessionToken: 'session-token',
+      expiration: new Date(Date.now() + 60 * 60 * 1000)
+    };
+    let mockAssumeRole;
+
+    beforeEach(() => {
+      mockAssumeRole = jest.fn().mockResolvedValue(assumedCredentials);
+      fromTemporaryCredentials.mockReturnValue(mockAssumeRole);
+    });
+
+    test('assumes role-to-assume and deploys to its account', async () => {
+      mockInputs({
+        'role-to-assume': 'arn:aws:iam::210987654321:role/deploy',
+        'role-external-id': 'pipeline-1234',
+        'role-session-name': 'release-42'
+      });
+      mockStsSend.mockResolvedValue({ Account: '210987654321', Arn: 'arn:aws:sts::210987654321:assumed-role/deploy/release-42' });
+      const serviceArn = 'arn:aws:ecs:us-east-1:210987654321:service/default/api';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(fromTemporaryCredentials).toHaveBeenCalledWith({
+        params: {
+          RoleArn: 'arn:aws:iam::210987654321:role/deploy',
+          RoleSessionName: 'release-42',
+          ExternalId: 'pipeline-1234'
+        },
+        clientConfig: expect.objectContaining({ customUserAgent: 'amazon-ecs-deploy-express-service-for-github-actions' })
+      });
+      expect(core.setSecret).toHaveBeenCalledWith('secret-access-key');
+      expect(core.setSecret).toHaveBeenCalledWith('session-token');
+      // The caller identity and all ECS calls use the assumed role session
+      const credentials = STSClient.mock.calls[0][0].credentials;
+      await expect(credentials()).resolves.toEqual(assumedCredentials);
+      expect(GetCallerIdentityCommand).toHaveBeenCalledTimes(1);
+      expect(ECSClient.mock.calls[0][0].credentials).toBe(credentials);
+      expect(mockAssumeRole).toHaveBeenCalledTimes(1);
+      expect(core.info).toHaveBeenCalledWith('Assumed role arn:aws:sts::210987654321:assumed-role/deploy/release-42');
+      expect(core.info).toHaveBeenCalledWith('AWS account: 210987654321');
+      expect(core.setOutput).toHaveBeenCalledWith('service-arn', serviceArn);
+    });
+
+    test('assumes the role again when the session is about to expire', async () => {
+      mockInputs({ 'role-to-assume': 'arn:aws:iam::210987654321:role/deploy', 'dry-run': 'true' });
+      const renewedCredentials = { ...assumedCredentials, sessionToken: 'renewed-session-token' };
+      mockAssumeRole
+        .mockResolvedValueOnce({ ...assumedCredentials, expiration: new Date(Date.now() + 60 * 1000) })
+        .mockResolvedValueOnce(renewedCredentials);
+      mockSend.mockResolvedValueOnce({ services: [] });
+
+      await run();
+
+      const credentials = ECSClient.mock.calls[0][0].credentials;
+      await expect(credentials()).resolves.toEqual(renewedCredentials);
+      await expect(credentials()).resolves.toEqual(renewedCredentials);
+      expect(mockAssumeRole).toHaveBeenCalledTimes(2);
+      expect(core.setSecret).toHaveBeenCalledWith('renewed-session-token');
+    });
+
+    test('does not look up the caller identity without role-to-assume or service-arn', async () => {
+      mockInputs({});
+      const serviceArn = 'arn:aws:ecs:us-east-1:555555555555:service/default/api';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(fromTemporaryCredentials).not.toHaveBeenCalled();
+      expect(ECSClient.mock.calls[0][0].credentials).toBeUndefined();
+      expect(DescribeServicesCommand).toHaveBeenCalledWith(expect.objectContaining({ cluster: 'default', services: ['api'] }));
+      expect(mockStsSend).not.toHaveBeenCalled();
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('fails before deploying when the role cannot be assumed', async () => {
+      mockInputs({ 'role-to-assume': 'arn:aws:iam::210987654321:role/deploy' });
+      mockAssumeRole.mockRejectedValueOnce(new Error('User is not authorized to perform: sts:AssumeRole'));
+
+      await run();
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Failed to assume role arn:aws:iam::210987654321:role/deploy: User is not authorized to perform: sts:AssumeRole'
+      );
+    });
+
+    test('fails validation for invalid assume role inputs', async () => {
+      mockInputs({ 'role-external-id': 'pipeline-1234' });
+
+      await run();
+
+      expect(core.error).toHaveBeenCalledWith('role-external-id requires role-to-assume', { title: 'Invalid input' });
+
+      jest.clearAllMocks();
+      mockInputs({ 'role-to-assume': 'deploy', 'role-session-name': 'release #42' });
+
+      await run();
+
+      expect(mockStsSend).not.toHaveBeenCalled();
+      expect(core.error).toHaveBeenCalledWith('role-to-assume must be an IAM role ARN, got "deploy"', { title: 'Invalid input' });
+      expect(core.error).toHaveBeenCalledWith(
+        'role-session-name must be 2-64 characters of letters, digits and +=,.@-_, got "release #42"',
+        { title: 'Invalid input' }
+      );
+    });
+  });
+
+  describe('Image digest resolution', () => {
+    const digest = `sha256:${'a1'.repeat(32)}`;
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/api';
+
+    const mockInputs = (image) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return image;
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'api';
+        if (name === 'resolve-image-digest') return 'true';
+        return '';
+      });
+    };
+
+    const mockCreate = () => {
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+    };
+
+    test('pins an ECR image tag to its digest', async () => {
+      mockInputs('210987654321.dkr.ecr.eu-west-1.amazonaws.com/team/api:latest');
+      mockEcrSend.mockResolvedValueOnce({ imageDetails: [{ imageDigest: digest, imageTags: ['latest', 'v2'] }] });
+      mockCreate();
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(ECRClient).toHaveBeenCalledWith(expect.objectContaining({ region: 'eu-west-1' }));
+      expect(DescribeImagesCommand).toHaveBeenCalledWith({
+        registryId: '210987654321',
+        repositoryName: 'team/api',
+        imageIds: [{ imageTag: 'latest' }]
+      });
+      expect(CreateExpressGatewayServiceCommand.mock.calls[0][0].primaryContainer.image).toBe(
+        `210987654321.dkr.ecr.eu-west-1.amazonaws.com/team/api@${digest}`
+      );
+      expect(core.setOutput).toHaveBeenCalledWith('image-digest', digest);
+    });
+
+    test('verifies that a pinned digest exists', async () => {
+      mockInputs(`123456789012.dkr.ecr.us-east-1.amazonaws.com/api@${digest}`);
+      const notFound = new Error('The image requested does not exist in the specified repository.');
+      notFound.name = 'ImageNotFoundException';
+      mockEcrSend.mockRejectedValueOnce(notFound);
+
+      await run();
+
+      expect(DescribeImagesCommand).toHaveBeenCalledWith(expect.objectContaining({ imageIds: [{ imageDigest: digest }] }));
+      expect(mockSend).toHaveBeenCalledTimes(0);
+      expect(core.setFailed).toHaveBeenCalledWith(`Image not found in Amazon ECR: 123456789012.dkr.ecr.us-east-1.amazonaws.com/api@${digest}`);
+    });
+
+    test('deploys images outside ECR unchanged', async () => {
+      mockInputs('public.ecr.aws/nginx/nginx:1.27');
+      mockCreate();
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockEcrSend).not.toHaveBeenCalled();
+      expect(core.warning).toHaveBeenCalledWith('Image public.ecr.aws/nginx/nginx:1.27 is not in Amazon ECR, deploying it without resolving its digest');
+      expect(CreateExpressGatewayServiceCommand.mock.calls[0][0].primaryContainer.image).toBe('public.ecr.aws/nginx/nginx:1.27');
+      expect(core.setOutput).not.toHaveBeenCalledWith('image-digest', expect.anything());
+    });
+  });
+
+  describe('Image scan findings gate', () => {
+    const image = '123456789012.dkr.ecr.us-east-1.amazonaws.com/api:v2';
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/api';
+
+    const mockInputs = (inputs) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return image;
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'api';
+        if (name === 'scan-findings-gate') return 'true';
+        return inputs[name] || '';
+      });
+    };
+
+    test('blocks the deployment when findings exceed the allowed counts', async () => {
+      mockInputs({ 'scan-findings-allowlist': 'CVE-2024-0001' });
+      mockEcrSend.mockResolvedValueOnce({
+        imageScanStatus: { status: 'COMPLETE' },
+        imageScanFindings: {
+          findings: [
+            { name: 'CVE-2024-0001', severity: 'CRITICAL' },
+            { name: 'CVE-2024-0002', severity: 'HIGH' },
+            { name: 'CVE-2024-0003', severity: 'MEDIUM' }
+          ]
+        }
+      });
+
+      await run();
+
+      expect(DescribeImageScanFindingsCommand).toHaveBeenCalledWith(expect.objectContaining({
+        registryId: '123456789012',
+        repositoryName: 'api',
+        imageId: { imageTag: 'v2' }
+      }));
+      expect(core.info).toHaveBeenCalledWith('Scan findings: HIGH 1, MEDIUM 1 (1 allowlisted)');
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith(
+        `Scan findings of ${image} exceed the allowed counts: HIGH 1 > 0. Blocking findings: CVE-2024-0002`
+      );
+    });
+
+    test('deploys when findings are within the allowed counts', async () => {
+      mockInputs({ 'scan-findings-max-counts': 'CRITICAL=0\nHIGH=2' });
+      mockEcrSend
+        .mockResolvedValueOnce({
+          imageScanStatus: { status: 'ACTIVE' },
+          imageScanFindings: {
+            enhancedFindings: [{ severity: 'HIGH', packageVulnerabilityDetails: { vulnerabilityId: 'CVE-2024-0002' } }]
+          },
+          nextToken: 'page-2'
+        })
+        .mockResolvedValueOnce({
+          imageScanStatus: { status: 'ACTIVE' },
+          imageScanFindings: {
+            enhancedFindings: [{ severity: 'HIGH', packageVulnerabilityDetails: { vulnerabilityId: 'CVE-2024-0004' } }]
+          }
+        });
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(DescribeImageScanFindingsCommand).toHaveBeenLastCalledWith(expect.objectContaining({ nextToken: 'page-2' }));
+      expect(CreateExpressGatewayServiceCommand).toHaveBeenCalledTimes(1);
+      expect(core.summary.addTable.mock.calls[0][0]).toContainEqual(['Scan findings', 'HIGH 2']);
+    });
+
+    test('fails when the image has not been scanned', async () => {
+      mockInputs({});
+      const scanNotFound = new Error('Image scan does not exist for the image');
+      scanNotFound.name = 'ScanNotFoundException';
+      mockEcrSend.mockRejectedValueOnce(scanNotFound);
+
+      await run();
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith(
+        `No scan found for ${image}. Enable scan on push for the repository or scan the image before deploying.`
+      );
+    });
+
+    test('fails validation for invalid max counts', async () => {
+      mockInputs({ 'scan-findings-max-counts': 'SEVERE=0, HIGH' });
+
+      await run();
+
+      expect(mockEcrSend).not.toHaveBeenCalled();
+      expect(core.error).toHaveBeenCalledWith(
+        'scan-findings-max-counts severity must be one of CRITICAL, HIGH, MEDIUM, LOW, INFORMATIONAL, UNDEFINED, got "SEVERE=0"',
+        { title: 'Invalid input' }
+      );
+      expect(core.error).toHaveBeenCalledWith(
+        'scan-findings-max-counts entries must have the form SEVERITY=COUNT with a non-negative integer count, got "HIGH"',
+        { title: 'Invalid input' }
+      );
+    });
+  });
+
+  describe('Delete mode', () => {
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/previews/pr-42';
+
+    const mockInputs = (inputs) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'action') return 'delete';
+        if (name === 'service-name') return 'pr-42';
+        if (name === 'cluster') return 'previews';
+        return inputs[name] || '';
+      });
+    };
+
+    test('deletes the service and waits until it is INACTIVE', async () => {
+      mockInputs({});
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, status: { statusCode: 'DRAINING' } } }) // DeleteExpressGatewayService
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, status: { statusCode: 'INACTIVE' } } });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(DescribeServicesCommand).toHaveBeenCalledWith({ cluster: 'previews', services: ['pr-42'] });
+      expect(DeleteExpressGatewayServiceCommand).toHaveBeenCalledWith({ serviceArn: serviceArn });
+      expect(DescribeExpressGatewayServiceCommand).toHaveBeenCalledWith({ serviceArn: serviceArn });
+      expect(core.info).toHaveBeenCalledWith('Service is INACTIVE and its resources have been released');
+      expect(core.setOutput).toHaveBeenCalledWith('service-arn', serviceArn);
+      expect(core.setOutput).toHaveBeenCalledWith('deleted', 'true');
+      expect(CreateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+    });
+
+    test('succeeds when the service does not exist', async () => {
+      mockInputs({});
+      mockSend.mockResolvedValueOnce({ services: [], failures: [{ reason: 'MISSING' }] });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(DeleteExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Service pr-42 not found in cluster previews, nothing to delete');
+      expect(core.setOutput).toHaveBeenCalledWith('deleted', 'false');
+    });
+
+    test('succeeds when the service is deleted concurrently', async () => {
+      mockInputs({});
+      const notActive = new Error('Service is not active');
+      notActive.name = 'ServiceNotActiveException';
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'DRAINING' }] })
+        .mockRejectedValueOnce(notActive);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Service pr-42 was already deleted');
+      expect(core.setOutput).toHaveBeenCalledWith('deleted', 'false');
+    });
+
+    test('maps a denied deletion to a remediation message', async () => {
+      mockInputs({});
+      const accessError = new Error('Not authorized to perform ecs:DeleteExpressGatewayService');
+      accessError.name = 'AccessDeniedException';
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockRejectedValueOnce(accessError);
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/^Access denied: Not authorized to perform ecs:DeleteExpressGatewayService\. Please check that the IAM roles/));
+    });
+
+    test('does not wait when wait-for-deployment is false', async () => {
+      mockInputs({ 'wait-for-deployment': 'false' });
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(DescribeExpressGatewayServiceCommand).not.toHaveBeenCalled();
+    });
+
+    test('fails for an unknown action', async () => {
+      core.getInput.mockImplementation((name) => (name === 'action' ? 'destroy' : ''));
+
+      await run();
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith('action must be "deploy" or "delete", got "destroy"');
+    });
+  });
+
+  describe('GitHub deployment', () => {
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+    const deploymentArn = 'arn:aws:ecs:us-east-1:123456789012:service-deployment/default/my-service/abc123';
+    const githubEnvironment = ['GITHUB_API_URL', 'GITHUB_REPOSITORY', 'GITHUB_SHA', 'GITHUB_HEAD_REF', 'GITHUB_RUN_ID', 'GITHUB_SERVER_URL'];
+    let server;
+    let requests;
+    let responseStatus;
+    let savedEnvironment;
+
+    // Local stand-in for the GitHub REST API that records the requests it receives
+    beforeAll(async () => {
+      server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+          requests.push({ method: request.method, url: request.url, authorization: request.headers.authorization, body: JSON.parse(body) });
+          response.writeHead(responseStatus, { 'Content-Type': 'application/json' });
+          response.end(responseStatus === 201 ? JSON.stringify({ id: 42 }) : JSON.stringify({ message: 'Resource not accessible by integration' }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      responseStatus = 201;
+      savedEnvironment = Object.fromEntries(githubEnvironment.map(name => [name, process.env[name]]));
+      process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+      process.env.GITHUB_REPOSITORY = 'octo-org/my-app';
+      process.env.GITHUB_SHA = 'abc123def';
+      process.env.GITHUB_RUN_ID = '1001';
+      process.env.GITHUB_SERVER_URL = 'https://github.com';
+      delete process.env.GITHUB_HEAD_REF;
+    });
+
+    afterEach(() => {
+      for (const name of githubEnvironment) {
+        if (savedEnvironment[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = savedEnvironment[name];
+        }
+      }
+    });
+
+    const mockInputs = (inputs = {}) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        if (name === 'github-deployment') return 'true';
+        if (name === 'github-token') return 'ghs_test';
+        return inputs[name] || '';
+      });
+    };
+
+    const mockDeployment = (finalStatus) => {
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce({
+          service: {
+            serviceArn: serviceArn,
+            status: { statusCode: 'ACTIVE' },
+            cluster: 'default',
+            activeConfigurations: [{ ingressPaths: [{ endpoint: 'my-service.ecs.us-east-1.on.aws' }] }]
+          }
+        })
+        .mockResolvedValueOnce({ serviceDeployments: [{ serviceDeploymentArn: deploymentArn }] })
+        .mockResolvedValueOnce({
+          serviceDeployments: [{
+            serviceDeploymentArn: deploymentArn,
+            status: finalStatus,
+            targetServiceRevision: { arn: 'revision/222', requestedTaskCount: 1, runningTaskCount: 1, pendingTaskCount: 0 }
+          }]
+        });
+    };
+
+    test('creates a deployment and finalizes it as success with the environment URL', async () => {
+      mockInputs({ 'github-environment': 'staging' });
+      mockDeployment('SUCCESSFUL');
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(requests.map(request => `${request.method} ${request.url}`)).toEqual([
+        'POST /repos/octo-org/my-app/deployments',
+        'POST /repos/octo-org/my-app/deployments/42/statuses',
+        'POST /repos/octo-org/my-app/deployments/42/statuses'
+      ]);
+      expect(requests[0].authorization).toBe('Bearer ghs_test');
+      expect(requests[0].body).toEqual(expect.objectContaining({ ref: 'abc123def', environment: 'staging', required_contexts: [] }));
+      expect(requests[1].body).toEqual(expect.objectContaining({
+        state: 'in_progress',
+        description: 'Deploying my-service',
+        log_url: 'https://github.com/octo-org/my-app/actions/runs/1001'
+      }));
+      expect(requests[2].body).toEqual(expect.objectContaining({
+        state: 'success',
+        environment_url: 'https://my-service.ecs.us-east-1.on.aws'
+      }));
+    });
+
+    test('leaves the deployment in progress when not waiting for it', async () => {
+      mockInputs({ 'wait-for-deployment': 'false' });
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(requests.slice(1).map(request => request.body.state)).toEqual(['in_progress', 'in_progress']);
+      expect(requests[2].body.description).toBe('Deployment started, its completion was not watched (wait-for-deployment is false)');
+    });
+
+    test('posts progress while polling and finalizes the deployment as failure', async () => {
+      mockInputs();
+      mockDeployment('FAILED');
+      mockSend.mockResolvedValueOnce({ taskArns: [] }); // ListTasks
+
+      await run();
+
+      expect(requests[0].body.environment).toBe('production');
+      expect(requests.slice(1).map(request => request.body.state)).toEqual(['in_progress', 'in_progress', 'failure']);
+      expect(requests[2].body.description).toBe('Progress: target 222: 1/1 running, 0 pending (100% rolled out)');
+      expect(requests[3].body.description).toBe(`Deployment ${deploymentArn} FAILED`);
+      expect(core.setFailed).toHaveBeenCalledWith(`Deployment ${deploymentArn} FAILED`);
+    });
+
+    test('continues the deployment with a warning when the GitHub API rejects the request', async () => {
+      responseStatus = 403;
+      mockInputs();
+      mockDeployment('SUCCESSFUL');
+
+      await run();
+
+      expect(requests).toHaveLength(1);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining(
+        'Failed to create GitHub deployment: GitHub API POST /repos/octo-org/my-app/deployments returned 403'
+      ));
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('fails validation without a GitHub token', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'github-token') return '';
+        if (name === 'github-deployment') return 'true';
+        if (name === 'image') return 'nginx:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        return '';
+      });
+
+      await run();
+
+      expect(requests).toHaveLength(0);
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.error).toHaveBeenCalledWith('github-token is required when github-deployment is true', { title: 'Invalid input' });
+    });
+  });
+
+  describe('Force new deployment', () => {
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+    const activeConfiguration = {
+      serviceRevisionArn: 'arn:aws:ecs:us-east-1:123456789012:service-revision/default/my-service/111',
+      executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+      cpu: '512',
+      memory: '1024',
+      primaryContainer: {
+        image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1',
+        secrets: [{ name: 'API_KEY', valueFrom: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:api-key' }]
+      },
+      ingressPaths: [{ endpoint: 'my-service.ecs.us-east-1.on.aws' }]
+    };
+
+    const mockInputs = (inputs = {}) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'service-name') return 'my-service';
+        if (name === 'force-new-deployment') return 'true';
+        return inputs[name] || '';
+      });
+    };
+
+    test('forces a new deployment of the active configuration and waits for it', async () => {
+      mockInputs({ 'mutate-tags-on-update': 'true' });
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE', tags: [{ key: 'Team', value: 'web' }] }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, activeConfigurations: [activeConfiguration] } })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // UpdateService
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      // ECS starts a deployment for forceNewDeployment even though the configuration is unchanged
+      expect(UpdateServiceCommand).toHaveBeenCalledWith({ cluster: 'default', service: serviceArn, forceNewDeployment: true });
+      expect(mockSend.mock.calls[2][0]).toBe(UpdateServiceCommand.mock.instances[0]);
+      expect(UpdateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Redeploying image 123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1 with the active configuration');
+      // Tags are left alone, since the inputs do not describe the service
+      expect(mockSend).toHaveBeenCalledTimes(6);
+      expect(core.info).toHaveBeenCalledWith('Deployment completed successfully');
+    });
+
+    test('fails when the service does not exist', async () => {
+      mockInputs();
+      mockSend.mockResolvedValueOnce({ services: [] });
+
+      await run();
+
+      expect(CreateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Service my-service does not exist in cluster default, force-new-deployment requires an existing service'
+      );
+    });
+
+    test('validates the smoke test options', async () => {
+      mockInputs({ 'smoke-test': 'true', 'smoke-test-attempts': '0' });
+
+      await run();
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.error).toHaveBeenCalledWith('smoke-test-attempts must be a positive integer, got "0"', { title: 'Invalid input' });
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Input validation failed with 1 error(s)'));
+    });
+
+    test('reports the forced deployment without starting it in dry-run mode', async () => {
+      mockInputs({ 'dry-run': 'true' });
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, activeConfigurations: [activeConfiguration] } });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(UpdateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('config-diff', 'No configuration changes detected');
+    });
+  });
+
+  describe('Merge with existing configuration', () => {
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+    const activeConfiguration = {
+      serviceRevisionArn: 'arn:aws:ecs:us-east-1:123456789012:service-revision/default/my-service/111',
+      executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+      taskRoleArn: 'arn:aws:iam::123456789012:role/appTaskRole',
+      cpu: '1024',
+      memory: '2048',
+      networkConfiguration: { subnets: ['subnet-1'], securityGroups: ['sg-1'] },
+      primaryContainer: {
+        image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1',
+        containerPort: 8080,
+        environment: [
+          { name: 'NODE_ENV', value: 'production' },
+          { name: 'LOG_LEVEL', value: 'info' }
+        ]
+      },
+      scalingTarget: { minTaskCount: 1, maxTaskCount: 4 },
+      ingressPaths: [{ endpoint: 'my-service.ecs.us-east-1.on.aws' }]
+    };
+
+    const mockInputs = (inputs = {}) => {
+      core.getInput.mockImplementation((name) => {
+        if (name in inputs) return inputs[name];
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        if (name === 'update-strategy') return 'merge-with-existing';
+        if (name === 'environment-variables') return 'LOG_LEVEL=debug\nFEATURE_FLAG=on';
+        if (name === 'max-task-count') return '10';
+        return inputs[name] || '';
+      });
+    };
+
+    test('overlays the provided inputs on the live configuration', async () => {
+      mockInputs();
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, activeConfigurations: [activeConfiguration] } })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // UpdateExpressGatewayService
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledWith({
+        serviceArn: serviceArn,
+        serviceName: 'my-service',
+        executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+        infrastructureRoleArn: 'arn:aws:iam::123456789012:role/ecsInfrastructureRole',
+        taskRoleArn: 'arn:aws:iam::123456789012:role/appTaskRole',
+        cpu: '1024',
+        memory: '2048',
+        networkConfiguration: { subnets: ['subnet-1'], securityGroups: ['sg-1'] },
+        primaryContainer: {
+          image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2',
+          containerPort: 8080,
+          environment: [
+            { name: 'NODE_ENV', value: 'production' },
+            { name: 'LOG_LEVEL', value: 'debug' },
+            { name: 'FEATURE_FLAG', value: 'on' }
+          ]
+        },
+        scalingTarget: { minTaskCount: 1, maxTaskCount: 10 }
+      });
+      expect(core.startGroup).toHaveBeenCalledWith('Merged configuration for my-service');
+      expect(core.info).toHaveBeenCalledWith(expect.stringContaining('"taskRoleArn": "arn:aws:iam::123456789012:role/appTaskRole"'));
+      // The live configuration is fetched once for the merge, rollback and report
+      expect(mockSend).toHaveBeenCalledTimes(6);
+    });
+
+    test('reports the diff of the merged configuration in dry-run mode', async () => {
+      mockInputs({ 'dry-run': 'true' });
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, activeConfigurations: [activeConfiguration] } });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(UpdateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      const configDiff = core.setOutput.mock.calls.find(([name]) => name === 'config-diff')[1];
+      expect(configDiff).toContain('+ environment[FEATURE_FLAG]: "on"');
+      expect(configDiff).toContain('+ environment[LOG_LEVEL]: "debug"');
+      expect(configDiff).not.toContain('NODE_ENV');
+    });
+
+    test('creates a new service from the provided inputs only', async () => {
+      mockInputs();
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // CreateExpressGatewayService
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.startGroup).not.toHaveBeenCalledWith('Merged configuration for my-service');
+      expect(CreateExpressGatewayServiceCommand).toHaveBeenCalledWith(expect.not.objectContaining({ taskRoleArn: expect.anything() }));
+    });
+
+    test('keeps the image and roles of the live configuration when they are not provided', async () => {
+      mockInputs({ 'image': '', 'execution-role-arn': '', 'infrastructure-role-arn': '', 'resolve-image-digest': 'true' });
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, activeConfigurations: [activeConfiguration] } })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // UpdateExpressGatewayService
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Container image: not provided, keeping the image of the active configuration');
+      expect(mockEcrSend).not.toHaveBeenCalled();
+      const updateInput = UpdateExpressGatewayServiceCommand.mock.calls[0][0];
+      expect(updateInput.executionRoleArn).toBe('arn:aws:iam::123456789012:role/ecsTaskExecutionRole');
+      expect(updateInput.primaryContainer.image).toBe('123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1');
+      expect(updateInput).not.toHaveProperty('infrastructureRoleArn');
+    });
+
+    test('requires the image and roles to create a service', async () => {
+      mockInputs({ 'image': '' });
+      mockSend.mockResolvedValueOnce({ services: [] });
+
+      await run();
+
+      expect(CreateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith('Input required and not supplied: image (creating service my-service)');
+    });
+
+    test('validates the merged configuration', async () => {
+      mockInputs({ 'memory': '16384' });
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, activeConfigurations: [activeConfiguration] } });
+
+      await run();
+
+      expect(UpdateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'The merged configuration of my-service is invalid:\n  - memory 16384 is not supported with cpu 1024, allowed values are 2048, 3072, 4096, 5120, 6144, 7168, 8192'
+      );
+    });
+
+    test('rejects an unknown update strategy', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        if (name === 'update-strategy') return 'patch';
+        return '';
+      });
+
+      await run();
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.error).toHaveBeenCalledWith('update-strategy must be one of replace, merge-with-existing, got "patch"', { title: 'Invalid input' });
+    });
+  });
+
+  describe('Drift detection', () => {
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+    const activeConfiguration = {
+      executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+      cpu: '1024',
+      primaryContainer: {
+        image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1',
+        environment: [{ name: 'LOG_LEVEL', value: 'info' }]
+      }
+    };
+
+    const mockInputs = (inputs = {}) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        if (name === 'check-drift') return 'true';
+        if (name === 'cpu') return '1024';
+        if (name === 'environment-variables') return 'LOG_LEVEL=info';
+        if (name === 'tags') return 'Team=web';
+        return inputs[name] || '';
+      });
+    };
+
+    test('passes when the live service matches the desired configuration', async () => {
+      mockInputs();
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE', tags: [{ key: 'Team', value: 'web' }] }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn, activeConfigurations: [activeConfiguration] } });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('drift-detected', 'false');
+      expect(core.info).toHaveBeenCalledWith('Service my-service matches the desired configuration');
+      expect(mockSend).toHaveBeenCalledTimes(2);
+    });
+
+    test('ignores the order of subnets and security groups', async () => {
+      mockInputs({ 'subnets': 'subnet-a,subnet-b', 'security-groups': 'sg-1,sg-2' });
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE', tags: [{ key: 'Team', value: 'web' }] }] })
+        .mockResolvedValueOnce({
+          service: {
+            serviceArn: serviceArn,
+            activeConfigurations: [{
+              ...activeConfiguration,
+              networkConfiguration: { subnets: ['subnet-b', 'subnet-a'], securityGroups: ['sg-2', 'sg-1'] }
+            }]
+          }
+        });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('drift-detected', 'false');
+    });
+
+    test('fails with a report when the live service has drifted', async () => {
+      mockInputs();
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE', tags: [{ key: 'Team', value: 'api' }] }] })
+        .mockResolvedValueOnce({
+          service: {
+            serviceArn: serviceArn,
+            activeConfigurations: [{
+              ...activeConfiguration,
+              cpu: '2048',
+              primaryContainer: { ...activeConfiguration.primaryContainer, environment: [{ name: 'LOG_LEVEL', value: 'debug' }] }
+            }]
+          }
+        });
+
+      await run();
+
+      expect(UpdateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(core.setOutput).toHaveBeenCalledWith('drift-detected', 'true');
+      expect(core.setOutput).toHaveBeenCalledWith('config-diff', [
+        '- environment[LOG_LEVEL]: "debug"',
+        '+ environment[LOG_LEVEL]: "info"',
+        '- cpu: "2048"',
+        '+ cpu: "1024"',
+        '- tags[Team]: "api"',
+        '+ tags[Team]: "web"'
+      ].join('\n'));
+      expect(core.warning).toHaveBeenCalledWith('Service my-service has drifted from the desired configuration: 3 difference(s)', { title: 'Drift detected' });
+      expect(core.summary.addTable).toHaveBeenCalledWith(expect.arrayContaining([
+        ['cpu', '<code>&quot;2048&quot;</code>', '<code>&quot;1024&quot;</code>']
+      ]));
+      expect(core.setFailed).toHaveBeenCalledWith('Drift detected in 1 of 1 service(s): my-service');
+    });
+
+    test('compares roles, health check, container settings and credentials', async () => {
+      mockInputs({
+        'health-check-path': '/health',
+        'container-port': '8080',
+        'command': '["node", "server.js"]',
+        'task-role-arn': 'arn:aws:iam::123456789012:role/ecsTaskRole',
+        'log-group': '/ecs/my-service',
+        'repository-credentials': 'arn:aws:secretsmanager:us-east-1:123456789012:secret:registry'
+      });
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE', tags: [{ key: 'Team', value: 'web' }] }] })
+        .mockResolvedValueOnce({
+          service: {
+            serviceArn: serviceArn,
+            activeConfigurations: [{
+              ...activeConfiguration,
+              executionRoleArn: 'arn:aws:iam::123456789012:role/consoleExecutionRole',
+              taskRoleArn: 'arn:aws:iam::123456789012:role/consoleTaskRole',
+              healthCheckPath: '/',
+              primaryContainer: {
+                ...activeConfiguration.primaryContainer,
+                containerPort: 80,
+                command: ['npm', 'start'],
+                awsLogsConfiguration: { logGroup: '/ecs/console' },
+                repositoryCredentials: { credentialsParameter: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:console' }
+              }
+            }]
+          }
+        });
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('drift-detected', 'true');
+      expect(core.setOutput).toHaveBeenCalledWith('config-diff', [
+        '- containerPort: 80',
+        '+ containerPort: 8080',
+        '- command: ["npm","start"]',
+        '+ command: ["node","server.js"]',
+        '- awsLogsConfiguration.logGroup: "/ecs/console"',
+        '+ awsLogsConfiguration.logGroup: "/ecs/my-service"',
+        '- repositoryCredentials.credentialsParameter: "arn:aws:secretsmanager:us-east-1:123456789012:secret:console"',
+        '+ repositoryCredentials.credentialsParameter: "arn:aws:secretsmanager:us-east-1:123456789012:secret:registry"',
+        '- executionRoleArn: "arn:aws:iam::123456789012:role/consoleExecutionRole"',
+        '+ executionRoleArn: "arn:aws:iam::123456789012:role/ecsTaskExecutionRole"',
+        '- taskRoleArn: "arn:aws:iam::123456789012:role/consoleTaskRole"',
+        '+ taskRoleArn: "arn:aws:iam::123456789012:role/ecsTaskRole"',
+        '- healthCheckPath: "/"',
+        '+ healthCheckPath: "/health"'
+      ].join('\n'));
+      expect(core.warning).toHaveBeenCalledWith('Service my-service has drifted from the desired configuration: 7 difference(s)', { title: 'Drift detected' });
+    });
+
+    test('reports a service that does not exist as drifted', async () => {
+      mockInputs();
+      mockSend.mockResolvedValueOnce({ services: [] });
+
+      await run();
+
+      expect(CreateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('drift-detected', 'true');
+      expect(core.setFailed).toHaveBeenCalledWith('Drift detected in 1 of 1 service(s): my-service');
+    });
+
+    test('cannot be combined with action: delete', async () => {
+      mockInputs({ action: 'delete' });
+
+      await run();
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith('check-drift cannot be used with action: delete');
+    });
+  });
+
+  describe('Preview services', () => {
+    const previewEnvironment = ['GITHUB_API_URL', 'GITHUB_REPOSITORY', 'GITHUB_SHA', 'GITHUB_EVENT_PATH', 'GITHUB_HEAD_REF', 'GITHUB_REF_NAME'];
+    const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-app-pr-42';
+    let server;
+    let requests;
+    let existingComments;
+    let savedEnvironment;
+    let workspace;
+
+    // Local stand-in for the GitHub issue comments API
+    beforeAll(async () => {
+      server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+          requests.push({ method: request.method, url: request.url, body: body ? JSON.parse(body) : undefined });
+          const query = new URL(request.url, 'http://localhost').searchParams;
+          const perPage = Number(query.get('per_page') || 30);
+          const page = Number(query.get('page') || 1);
+          response.writeHead(request.method === 'POST' ? 201 : 200, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify(request.method === 'GET' ? existingComments.slice((page - 1) * perPage, page * perPage) : { id: 7 }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      existingComments = [];
+      savedEnvironment = Object.fromEntries(previewEnvironment.map(name => [name, process.env[name]]));
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-'));
+      process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+      process.env.GITHUB_REPOSITORY = 'octo-org/my-app';
+      process.env.GITHUB_SHA = 'abc123def456';
+      process.env.GITHUB_EVENT_PATH = path.join(workspace, 'event.json');
+      delete process.env.GITHUB_HEAD_REF;
+      delete process.env.GITHUB_REF_NAME;
+      fs.writeFileSync(process.env.GITHUB_EVENT_PATH, JSON.stringify({
+        pull_request: { number: 42, head: { ref: 'feature/Login Page' } }
+      }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(workspace, { recursive: true, force: true });
+      for (const name of previewEnvironment) {
+        if (savedEnvironment[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = savedEnvironment[name];
+        }
+      }
+    });
+
+    const mockInputs = (inputs = {}) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-app';
+        if (name === 'preview') return 'true';
+        if (name === 'github-token') return 'ghs_test';
+        return inputs[name] || '';
+      });
+    };
+
+    const mockDeployment = (describeServicesResponse) => {
+      mockSend.mockResolvedValueOnce(describeServicesResponse);
+      if (describeServicesResponse.services.length > 0) {
+        mockSend.mockResolvedValueOnce({ service: { serviceArn: serviceArn } }); // DescribeExpressGatewayService - live configuration
+      }
+      mockSend
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // Create or UpdateExpressGatewayService
+        .mockResolvedValueOnce({
+          service: {
+            serviceArn: serviceArn,
+            status: { statusCode: 'ACTIVE' },
+            cluster: 'default',
+            activeConfigurations: [{ ingressPaths: [{ endpoint: 'my-app-pr-42.ecs.us-east-1.on.aws' }] }]
+          }
+        })
+        .mockResolvedValueOnce(mockSuccessfulDeployment(serviceArn)[1])
+        .mockResolvedValueOnce(mockSuccessfulDeployment(serviceArn)[2]);
+    };
+
+    test('creates a service named and tagged after the pull request and comments the endpoint', async () => {
+      mockInputs({ 'tags': 'Team=web' });
+      mockDeployment({ services: [] });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(CreateExpressGatewayServiceCommand.mock.calls[0][0]).toEqual(expect.objectContaining({
+        serviceName: 'my-app-pr-42',
+        tags: [
+          { key: 'Team', value: 'web' },
+          { key: 'preview', value: 'true' },
+          { key: 'preview:repository', value: 'octo-org/my-app' },
+          { key: 'preview:pull-request', value: '42' },
+          { key: 'preview:branch', value: 'feature/Login Page' }
+        ]
+      }));
+      expect(core.setOutput).toHaveBeenCalledWith('service-name', 'my-app-pr-42');
+      expect(requests.map(request => `${request.method} ${request.url}`)).toEqual([
+        'GET /repos/octo-org/my-app/issues/42/comments?per_page=100&page=1',
+        'POST /repos/octo-org/my-app/issues/42/comments'
+      ]);
+      expect(requests[1].body.body).toBe(
+        '<!-- amazon-ecs-deploy-express-service:preview:my-app-pr-42 -->\n' +
+        'Preview service `my-app-pr-42` is deployed for commit abc123d in us-east-1: https://my-app-pr-42.ecs.us-east-1.on.aws'
+      );
+    });
+
+    test('updates the existing service and comment on later pushes', async () => {
+      mockInputs();
+      existingComments = [
+        { id: 3, body: 'Looks good' },
+        { id: 5, body: '<!-- amazon-ecs-deploy-express-service:preview:my-app-pr-42 -->\nPreview service `my-app-pr-42` is deployed' }
+      ];
+      mockDeployment({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(UpdateExpressGatewayServiceCommand).toHaveBeenCalledWith(expect.objectContaining({ serviceArn: serviceArn }));
+      expect(CreateExpressGatewayServiceCommand).not.toHaveBeenCalled();
+      expect(requests.map(request => `${request.method} ${request.url}`)).toEqual([
+        'GET /repos/octo-org/my-app/issues/42/comments?per_page=100&page=1',
+        'PATCH /repos/octo-org/my-app/issues/comments/5'
+      ]);
+      expect(core.info).toHaveBeenCalledWith('Updated preview comment on pull request #42');
+    });
+
+    test('finds the existing comment on a later page', async () => {
+      mockInputs();
+      existingComments = Array.from({ length: 150 }, (_, index) => ({ id: 100 + index, body: `Comment ${index}` }));
+      existingComments[120].body = '<!-- amazon-ecs-deploy-express-service:preview:my-app-pr-42 -->\nPreview service `my-app-pr-42` is deployed';
+      mockDeployment({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] });
+
+      await run();
+
+      expect(requests.map(request => `${request.method} ${request.url}`)).toEqual([
+        'GET /repos/octo-org/my-app/issues/42/comments?per_page=100&page=1',
+        'GET /repos/octo-org/my-app/issues/42/comments?per_page=100&page=2',
+        'PATCH /repos/octo-org/my-app/issues/comments/220'
+      ]);
+    });
+
+    test('derives a valid, length-limited name from the branch', async () => {
+      fs.writeFileSync(process.env.GITHUB_EVENT_PATH, JSON.stringify({ ref: 'refs/heads/x' }));
+      process.env.GITHUB_REF_NAME = 'feature/JIRA-1234_Add__a-very-long-description-of-the-change/v2';
+      mockInputs({ 'dry-run': 'true' });
+      mockSend.mockResolvedValueOnce({ services: [] });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      const serviceName = core.setOutput.mock.calls.find(call => call[0] === 'service-name')[1];
+      expect(serviceName).toMatch(/^my-app-feature-jira-1234-add-a-very-long-description-of-[0-9a-f]{7}$/);
+      expect(serviceName.length).toBeLessThanOrEqual(63);
+      expect(DescribeServicesCommand).toHaveBeenCalledWith(expect.objectContaining({ services: [serviceName] }));
+      expect(requests).toEqual([]);
+    });
+
+    test('comments when the preview service is deleted', async () => {
+      mockInputs({ 'action': 'delete', 'wait-for-deployment': 'false' });
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(DeleteExpressGatewayServiceCommand).toHaveBeenCalledWith({ serviceArn: serviceArn });
+      expect(requests[1].body.body).toContain('Preview service `my-app-pr-42` was deleted.');
+    });
+  });
+
+  describe('Service spec file', () => {
+    let workspace;
+
+    beforeEach(() => {
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'service-spec-'));
+      process.env.GITHUB_WORKSPACE = workspace;
+    });
+
+    afterEach(() => {
+      fs.rmSync(workspace, { recursive: true, force: true });
+      delete process.env.GITHUB_WORKSPACE;
+    });
+
+    test('builds service config from YAML spec merged with inputs', async () => {
+      fs.writeFileSync(path.join(workspace, 'service.yml'), [
+        'serviceName: spec-service',
+        'cluster: production',
+        'executionRoleArn: arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+        'infrastructureRoleArn: arn:aws:iam::123456789012:role/ecsInfrastructureRole',
+        'cpu: 1024',
+        'memory: 2048',
+        'healthCheckPath: /health',
+        'primaryContainer:',
+        '  image: 123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:spec',
+        '  containerPort: 8080',
+        '  environment:',
+        '    NODE_ENV: production',
+        '    LOG_LEVEL: info',
+        'scalingTarget:',
+        '  minTaskCount: 2',
+        '  maxTaskCount: 4',
+        'tags:',
+        '  Team: backend'
+      ].join('\n'));
+
+      core.getInput.mockImplementation((name) => {
+        if (name === 'service-spec') return 'service.yml';
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2';
+        if (name === 'cluster') return 'default';
+        if (name === 'environment-variables') return '[{"name":"LOG_LEVEL","value":"debug"}]';
+        if (name === 'max-task-count') return '8';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/production/spec-service';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn, 'production');
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith(`Service ARN: ${serviceArn}`);
+      expect(CreateExpressGatewayServiceCommand).toHaveBeenCalledWith({
+        serviceName: 'spec-service',
+        cluster: 'production',
+        executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+        infrastructureRoleArn: 'arn:aws:iam::123456789012:role/ecsInfrastructureRole',
+        cpu: '1024',
+        memory: '2048',
+        healthCheckPath: '/health',
+        primaryContainer: {
+          image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v2',
+          containerPort: 8080,
+          environment: [
+            { name: 'NODE_ENV', value: 'production' },
+            { name: 'LOG_LEVEL', value: 'debug' }
+          ]
+        },
+        scalingTarget: { minTaskCount: 2, maxTaskCount: 8 },
+        tags: [{ key: 'Team', value: 'backend' }]
+      });
+    });
+
+    test('reads JSON spec files', async () => {
+      fs.writeFileSync(path.join(workspace, 'service.json'), JSON.stringify({
+        serviceName: 'json-service',
+        executionRoleArn: 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole',
+        infrastructureRoleArn: 'arn:aws:iam::123456789012:role/ecsInfrastructureRole',
+        primaryContainer: {
+          image: '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:v1',
+          secrets: [{ name: 'DB_PASSWORD', valueFrom: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:db' }]
+        }
+      }));
+
+      core.getInput.mockImplementation((name) => {
+        if (name === 'service-spec') return 'service.json';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/json-service';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+
+      mockSend
+        .mockResolvedValueOnce({ services: [] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } })
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(CreateExpressGatewayServiceCommand.mock.calls[0][0].primaryContainer.secrets).toEqual([
+        { name: 'DB_PASSWORD', valueFrom: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:db' }
+      ]);
+    });
+
+    test('reports all schema errors in the spec together', async () => {
+      fs.writeFileSync(path.join(workspace, 'service.yml'), [
+        'serviceName: spec-service',
+        'replicas: 3',
+        'primaryContainer:',
+        '  containerPort: "8080"',
+        'scalingTarget: 4'
+      ].join('\n'));
+
+      core.getInput.mockImplementation((name) => {
+        if (name === 'service-spec') return 'service.yml';
+        return '';
+      });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith([
+        'Invalid service-spec file service.yml:',
+        '  - replicas: unknown field',
+        '  - primaryContainer.containerPort: expected an integer',
+        '  - scalingTarget: expected an object'
+      ].join('\n'));
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+
+    test('fails when the spec file does not exist', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'service-spec') return 'missing.yml';
+        return '';
+      });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Unable to read service-spec file missing.yml'));
+    });
+  });
+
+  describe('Error handling', () => {
+    test('handles AccessDeniedException with helpful message', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        return '';
+      });
+
+      const accessError = new Error('Access denied');
+      accessError.name = 'AccessDeniedException';
+      // Cluster check fails with access denied
+      mockSend.mockRejectedValue(accessError);
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining('Access denied')
+      );
+    });
+
+    test('handles InvalidParameterException with helpful message', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'test-service';
+        return '';
+      });
+
+      const paramError = new Error('Invalid parameter');
+      paramError.name = 'InvalidParameterException';
+      mockSend.mockRejectedValue(paramError);
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining('Invalid parameter')
+      );
+    });
+
+    test('reports concurrent deployments with a remediation message', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        return '';
+      });
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+      const conflictError = new Error('The service has a deployment in progress');
+      conflictError.name = 'ConflictException';
+      mockSend
+        .mockResolvedValueOnce({ services: [{ serviceArn: serviceArn, status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // DescribeExpressGatewayService - live configuration
+        .mockRejectedValueOnce(conflictError); // UpdateExpressGatewayService
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        expect.stringMatching(/^Conflicting deployment: The service has a deployment in progress\. .*workflow concurrency group/)
       );
     });
 
+    test('retries throttled ECS calls before deploying', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        return '';
+      });
+
+      jest.useFakeTimers();
+
+      const serviceArn = 'arn:aws:ecs:us-east-1:123456789012:service/default/my-service';
+      const throttlingError = new Error('Rate exceeded');
+      throttlingError.name = 'ThrottlingException';
+      const deploymentMocks = mockSuccessfulDeployment(serviceArn);
+      mockSend
+        .mockRejectedValueOnce(throttlingError) // DescribeServices - throttled
+        .mockResolvedValueOnce({ services: [] }) // DescribeServices - retried
+        .mockResolvedValueOnce({ service: { serviceArn: serviceArn } }) // CreateExpressGatewayService
+        .mockResolvedValueOnce(deploymentMocks[0])
+        .mockResolvedValueOnce(deploymentMocks[1])
+        .mockResolvedValueOnce(deploymentMocks[2]);
+
+      const runPromise = run();
+      await jest.advanceTimersByTimeAsync(1000);
+      await runPromise;
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith(expect.stringMatching(/^DescribeServicesCommand was throttled, retrying in \d\.\ds \(attempt 2 of 5\)$/));
+      expect(CreateExpressGatewayServiceCommand).toHaveBeenCalled();
+      expect(ECSClient).toHaveBeenCalledWith(expect.objectContaining({ maxAttempts: 1 }));
+
+      jest.useRealTimers();
+    });
+
+    test('retries creating a service only when it was throttled', async () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
+        if (name === 'execution-role-arn') return 'arn:aws:iam::123456789012:role/ecsTaskExecutionRole';
+        if (name === 'infrastructure-role-arn') return 'arn:aws:iam::123456789012:role/ecsInfrastructureRole';
+        if (name === 'service-name') return 'my-service';
+        if (name === 'wait-for-deployment') return 'false';
+        return '';
+      });
+      jest.useFakeTimers();
+
+      const throttlingError = new Error('Rate exceeded');
+      throttlingError.name = 'ThrottlingException';
+      const serverError = new Error('Internal error');
+      serverError.name = 'ServerException';
+      mockSend
+        .mockResolvedValueOnce({ services: [] }) // DescribeServices
+        .mockRejectedValueOnce(throttlingError) // CreateExpressGatewayService - throttled, never executed
+        .mockRejectedValueOnce(serverError); // CreateExpressGatewayService - may have been executed
+
+      const runPromise = run();
+      await jest.advanceTimersByTimeAsync(5000);
+      await runPromise;
+      jest.useRealTimers();
+
+      expect(mockSend).toHaveBeenCalledTimes(3);
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/^AWS service error: Internal error\. The request was retried 1 time\(s\)\./));
+    });
+
     test('handles ClusterNotFoundException gracefully during service check', async () => {
       core.getInput.mockImplementation((name) => {
         if (name === 'image') return '123456789012.dkr.ecr.us-east-1.amazonaws.com/my-app:latest';
@@ -0,0 +1,49 @@
+// Logging through @actions/core with a prefix for services and regions that are deployed in parallel
+const { AsyncLocalStorage } = require('async_hooks');
+const core = require('@actions/core');
+
+/**
+ * Prefix of the log lines of the deployment that is running in the current async context
+ */
+const logPrefix = new AsyncLocalStorage();
+
+/**
+ * Prefix every line of a message with the prefix of the current deployment, if any
+ * @param {string} message - The message to log
+ * @returns {string} The prefixed message
+ */
+function prefixLines(message) {
+  const prefix = logPrefix.getStore();
+  if (!prefix || typeof message !== 'string') {
+    return message;
+  }
+  return message.split('\n').map(line => `${prefix}${line}`).join('\n');
+}
+
+/**
+ * Run a function whose log lines are prefixed with a label
+ * Deployments that run at the same time interleave their output, so each line names the deployment it
+ * belongs to. Log groups cannot overlap, so the lines of a group are logged without the group.
+ * @param {string} label - Label identifying the deployment, such as its region and service name
+ * @param {Function} fn - Async function to run
+ * @returns {*} The result of the function
+ */
+function withLogPrefix(label, fn) {
+  return logPrefix.run(`[${label}] `, fn);
+}
+
+module.exports = {
+  ...core,
+  debug: message => core.debug(prefixLines(message)),
+  info: message => core.info(prefixLines(message)),
+  notice: (message, ...properties) => core.notice(prefixLines(message), ...properties),
+  warning: (message, ...properties) => core.warning(prefixLines(message), ...properties),
+  error: (message, ...properties) => core.error(prefixLines(message), ...properties),
+  startGroup: name => logPrefix.getStore() ? core.info(prefixLines(name)) : core.startGroup(name),
+  endGroup: () => {
+    if (!logPrefix.getStore()) {
+      core.endGroup();
+    }
+  },
+  withLogPrefix
+};
@@ -0,0 +1,58 @@
+const core = require('@actions/core');
+const logging = require('./logging');
+
+jest.mock('@actions/core');
+
+describe('Logging', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('logs unchanged outside a prefixed deployment', () => {
+    logging.info('Service updated successfully');
+    logging.warning('Deployment is taking longer than 30 minutes', { title: 'Timeout' });
+    logging.startGroup('Deployment summary');
+    logging.endGroup();
+
+    expect(core.info).toHaveBeenCalledWith('Service updated successfully');
+    expect(core.warning).toHaveBeenCalledWith('Deployment is taking longer than 30 minutes', { title: 'Timeout' });
+    expect(core.startGroup).toHaveBeenCalledWith('Deployment summary');
+    expect(core.endGroup).toHaveBeenCalled();
+  });
+
+  test('prefixes every line and replaces groups in a prefixed deployment', async () => {
+    await logging.withLogPrefix('us-east-1/api', async () => {
+      await Promise.resolve();
+      logging.startGroup('Deployment summary');
+      logging.info('Tasks: 2 running\nEndpoint: api.ecs.us-east-1.on.aws');
+      logging.endGroup();
+      logging.notice('Service created');
+      logging.error('Deployment failed', { title: 'Deployment of api failed' });
+    });
+    logging.info('Deployment finished');
+
+    expect(core.startGroup).not.toHaveBeenCalled();
+    expect(core.endGroup).not.toHaveBeenCalled();
+    expect(core.info.mock.calls).toEqual([
+      ['[us-east-1/api] Deployment summary'],
+      ['[us-east-1/api] Tasks: 2 running\n[us-east-1/api] Endpoint: api.ecs.us-east-1.on.aws'],
+      ['Deployment finished']
+    ]);
+    expect(core.notice).toHaveBeenCalledWith('[us-east-1/api] Service created');
+    expect(core.error).toHaveBeenCalledWith('[us-east-1/api] Deployment failed', { title: 'Deployment of api failed' });
+  });
+
+  test('keeps the prefixes of concurrent deployments apart', async () => {
+    const deploy = (label, delay) => logging.withLogPrefix(label, async () => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      logging.info('Service updated successfully');
+    });
+
+    await Promise.all([deploy('api', 10), deploy('admin', 0)]);
+
+    expect(core.info.mock.calls).toEqual([
+      ['[admin] Service updated successfully'],
+      ['[api] Service updated successfully']
+    ]);
+  });
+});